@@ -1,6 +1,10 @@
 const express = require("express");
 const app = express();
 const { products } = require("./data");
+const { parseQuery, applyQuery, QueryParseError } = require("./utils/query");
+const { BadRequestError, NotFoundError } = require("./errors");
+const notFound = require("./middleware/not-found");
+const errorHandler = require("./middleware/error-handler");
 
 app.get("/", (req, res) => {
   res
@@ -48,13 +52,9 @@ app.get("/api/products/:productId", (req, res) => {
     (product) => product.id === Number(selectedProductId)
   );
 
+  // throwing hands the error over to errorHandler (registered at the bottom) which sends the 404
   if (selectedProductInfo == null) {
-    res
-      .status(404)
-      .send(
-        `<h1 style='font-family: cursive; font-size: 28px; color: red'>Product not found</h1>`
-      );
-    return;
+    throw new NotFoundError("Product not found");
   }
 
   res.status(200).send(selectedProductInfo);
@@ -85,50 +85,46 @@ app.get(
 // each of these key value pair is then sperated using ampersand(&) like shown in next line
 // /api/v1/query?name=raj&gender=male&org=trivium&city=banglore
 
-// Lets say for our example we care about only two queryParams that the user has passed
-// we have to define those two params (search & limit) here
-// and these two queryParams are optional
+// Lets say for our example we started with only two queryParams that the user can pass (search & limit)
+// and these queryParams are optional
 // so if user doesn't send them we will return the full products list
 // but if user does send them - we will use them for filtering
+//
+// That grew into a small query language - parsing it lives in utils/query.js so other routes (like GET /api/people) reuse it
+// In the main app (app.js) the same query language is served by the versioned products API => /api/v2/products?price[gte]=10
+// (there "v1"/"v2" is a real version scheme - see config/api-versions.js - instead of being baked into one path like here)
+// /api/v1/query?search=sofa&price[gte]=10&price[lt]=40&sort=-price,name&fields=id,name,price&page=1&limit=2
 
 app.get("/api/v1/query", (req, res) => {
   console.log(req.query);
 
-  let searchableProducts = [...products];
-  const { search, limit } = req.query;
-
-  if (search) {
-    searchableProducts = searchableProducts.filter((product) =>
-      product.name.includes(search)
-    );
+  let querySpec;
+  try {
+    querySpec = parseQuery(req.query, {
+      allowedFields: ["id", "name", "price", "image", "desc"],
+      searchField: "name",
+    });
+  } catch (error) {
+    // queryParams that we can't understand (unknown field, bad operator, page=abc ...) => 400 Bad Request
+    if (error instanceof QueryParseError) {
+      throw new BadRequestError(error.message);
+    }
+    throw error;
   }
 
-  if (limit) {
-    searchableProducts = searchableProducts.slice(0, Number(limit));
-  }
+  const { data, meta } = applyQuery(products, querySpec);
 
   // Incase if user has provided valid/relevant queryParams but None of the products matched search criteria
-  // we send a custom messages like below
-  if (searchableProducts.length < 1) {
-    // // You send a simple meaningful string resp message
-    // res.status(200).send(`<h1 style='font-family: cursive; font-size: 36px;'>No products matched your search criteria</h1>`)
-
-    // // OR you can send a json that indicates that search was conducted successfully - but no records matched
-    res.status(200).json({ searchSuccess: true, data: [] });
-
-    // ALSO YOU CANNOT have two res.send() or res.json() within a SINGLE REQUEST -
-    // that are executed at the sametime
-    // so inside each condition where we complete proccessing the request & send some kind of response
-    // we have to return explicitly
-    // OTHERWISE it will read the next res.json() or res.send() like below
-    // And it will throw an error
-    // Its similar to how you can't send anything after calling res.end() in core node
-    return;
-  }
-
-  // Incase if user didn't provide any queryParams/search criteria - then searchableProducts === products(whole products list will be returned)
-  // but when search criteria is provided by user and it match atleast one record then that modified list will be returned
-  res.status(200).json(searchableProducts);
+  // data will just be an empty list - we still send a json that indicates that search was conducted successfully
+
+  // ALSO YOU CANNOT have two res.send() or res.json() within a SINGLE REQUEST -
+  // that are executed at the sametime
+  // so inside each condition where we complete proccessing the request & send some kind of response
+  // we have to return explicitly
+  // OTHERWISE it will read the next res.json() or res.send()
+  // And it will throw an error
+  // Its similar to how you can't send anything after calling res.end() in core node
+  res.status(200).json({ searchSuccess: true, data, meta });
 });
 
 // about page
@@ -139,13 +135,10 @@ app.get("/about", (req, res) => {
 });
 
 // wildcard route handling(i.e. request URL that doesn't match any valid paths)
-app.all("/{*any}", (req, res) => {
-  res
-    .status(404)
-    .send(
-      `<h1 style='font-family: cursive; font-size: 28px; color: red'>Resource not found</h1>`
-    );
-});
+app.all("/{*any}", notFound);
+
+// error handling middleware => has to be the LAST one registered
+app.use(errorHandler);
 
 // express server setup at 5000
 app.listen(5000, () => {
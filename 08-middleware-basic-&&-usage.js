@@ -2,7 +2,9 @@ const express = require("express");
 const app = express();
 
 const logger = require('./logger')
-const authorize = require('./authorize')
+// the lesson's query-string authorizer (?user=john) => the app's real ./authorize wants a bearer token / session,
+// which this demo has no /login for, so every route here would answer 401
+const authorize = require('./authorize-explained')
 
 // What is a Middleware ?
 // Middleware in the context of express are just functions that acts on every http request
@@ -46,7 +48,8 @@ const authorize = require('./authorize')
 // // If we utilize the .use() method as shown below to register a middleware --
 // // the middleware will be automatiaclly at all stages if WE DON'T PROVIDE a PATH argument
 // // Also if we use multiple middleware functions they will be executed/triggered in the same order we provide it inside the list
-app.use([logger, authorize])
+// NOTE => logger is a middleware FACTORY (like morgan) so we call it to get the actual middleware
+app.use([logger(), authorize])
 
 // // but in most cases we may pass a PATH argument before the middleware OR list of middlewares
 // // If we pass that path, middleware will be triggered only for those routes that match the path
@@ -1,14 +1,47 @@
 const express = require("express");
 const app = express();
 
+const { UPLOAD_DIR, UPLOAD_URL_PREFIX } = require("./config/uploads");
+
+const { API_VERSIONS, LATEST_VERSION } = require("./config/api-versions");
+
+const apiRoute = require("./routes/api");
 const peopleRoute = require("./routes/people");
+const productsRoute = require("./routes/products");
+const epfRoute = require("./routes/epf");
 const authRoute = require("./routes/auth");
+const requestId = require("./middleware/request-id");
+const logger = require("./logger");
+const compression = require("./middleware/compression");
+const session = require("./middleware/session");
+const rateLimit = require("./middleware/rate-limit");
+const apiVersion = require("./middleware/api-version");
+const notFound = require("./middleware/not-found");
+const errorHandler = require("./middleware/error-handler");
+const { buildOpenApiDocument } = require("./utils/openapi");
+const { version } = require("./package.json");
+
+
+// X-Request-Id => has to be first, so every log line below can be tied to its request
+app.use(requestId());
 
+// request logging => LOG_FORMAT = dev (default) | combined | json, LOG_FILE = path to a (size rotated) log file
+app.use(
+  logger(process.env.LOG_FORMAT || "dev", {
+    file: process.env.LOG_FILE,
+    includeBody: process.env.LOG_FORMAT === "json",
+  })
+);
+
+// gzip / brotli responses when the client's Accept-Encoding allows it
+app.use(compression());
 
 // ALL these methods - express.static() && express.urlencoded() && express.json() are Built-IN Express Middleware functions
 
 // serve static assets
 app.use(express.static("./methods-public"));
+// uploaded files (ex: product images) => /uploads/products/<file>
+app.use(UPLOAD_URL_PREFIX, express.static(UPLOAD_DIR));
 
 // parse form data from request payload
 app.use(express.urlencoded({ extended: false }));
@@ -16,8 +49,59 @@ app.use(express.urlencoded({ extended: false }));
 // parse json data from request payload
 app.use(express.json());
 
-app.use("/api/people", peopleRoute);
-app.use("/login", authRoute);
+// loads the cookie based session (if any) into req.session
+app.use(session());
+
+// rate limits => every route can get its own limiter, registered BEFORE the router it protects
+// login => 5 attempts per 15 min per IP, makes brute forcing passwords impractical
+app.post(
+  "/login",
+  rateLimit({
+    prefix: "login",
+    limit: 5,
+    windowMs: 15 * 60 * 1000,
+    message: "Too many login attempts, please try again later",
+  })
+);
+// (the people API limiter lives in routes/api.js, so it covers every version)
+
+// POST /login, POST /logout, GET /me
+app.use("/", authRoute);
+
+// OpenAPI document generated from the routers themselves (see utils/openapi.js)
+// new routes show up automatically, the interactive explorer lives at /api-explorer.html
+// it documents the latest version, older ones keep the same paths under their own prefix
+const openApiDocument = buildOpenApiDocument({
+  info: {
+    title: "Express basics API",
+    version,
+    description: `People, products, EPF / EPS calculator && auth endpoints of app.js. API versions: ${Object.keys(API_VERSIONS)
+      .map((name) => `${name}${API_VERSIONS[name].deprecated ? " (deprecated)" : ""}`)
+      .join(", ")} - pick one with the /api/<version> prefix or the Accept-Version header.`,
+  },
+  mounts: [
+    { prefix: `/api/${LATEST_VERSION}/people`, router: peopleRoute, tag: "People" },
+    { prefix: `/api/${LATEST_VERSION}/products`, router: productsRoute, tag: "Products" },
+    { prefix: `/api/${LATEST_VERSION}`, router: epfRoute, tag: "EPF / EPS" },
+    { prefix: "", router: authRoute, tag: "Auth" },
+  ],
+});
+app.get("/api/openapi.json", (req, res) => {
+  res.status(200).json(openApiDocument);
+});
+
+// versioned API => /api/v1/people, /api/v2/people ... every version stays mounted next to the others
+Object.keys(API_VERSIONS).forEach((name) => {
+  app.use(`/api/${name}`, apiVersion(name), apiRoute);
+});
+// no version in the URL => Accept-Version header (or the default version)
+app.use("/api", apiVersion(), apiRoute);
+
+// these two have to come AFTER all the routes
+// wildcard fallback => request URL that doesn't match any valid path
+app.all("/{*any}", notFound);
+// every error thrown / passed to next(error) above ends up here
+app.use(errorHandler);
 
 app.listen(5000, () => {
   console.log(`Server started listening at port 5000 . . .`);
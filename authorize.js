@@ -2,36 +2,56 @@
 // express automatiaclly
 // Also as mentioned before you have to definitely use next() to pass control forward to the next middleware
 // OR call res.send() from within the middleware
-const authorize = (req, res, next) => {
-  console.log(`Authorize middleware called`);
+const { UnauthorizedError } = require("./errors");
+const { verifyToken, TokenError } = require("./utils/token");
+const log = require("./utils/log");
 
-  const { user, id } = req.query;
+const authorize = (req, res, next) => {
+  log.info(`Authorize middleware called`);
 
   // MIDDLEWARE functions == Function COMPOSITION approach == RxJS Operators
-  // IMAGINE in a REAL WORLD scenario - we will be probably checking for JWT in queryParam/routeParam/Header
-  // we will use that token && fetch the details of the authenticated user from Database
-  // And then attach that user details to REQUEST OBJECT like below
-  // I think this will be a more secure approach as this means users don't have to send their username/password everytime
-  // But we can still add that details in our request object first thing once a http request reaches us
+  // In a REAL WORLD scenario we check for a token in the Authorization header => "Authorization: Bearer <token>"
+  // The token is issued by POST /login (see controllers/auth.js) && is signed by us,
+  // so its claims (user id, name, role) can be trusted without hitting the DB again
+  // And then we attach that user details to REQUEST OBJECT like below
+  // This is a more secure approach as this means users don't have to send their username/password everytime
   // And in every subsequent stage of processing we will have that info available readily
-  
+
   // Imagine this same steps for any other functionality/operation you have to do when a request reaches us
   // Its seems like we can compose a bunch of middleware functions to process/transform either our input request OR response
   // basically functional programming => function composition => where each middleware function behaves like RxJS operator
   // that can be used to either progressively transform either some data from request object OR some data from DB to send via resp
   // any checks/validations like authN/authZ & others can be done in by one or more middleware functions
-  if (user) {
-    req.user = { name: user, id: 3 };
-    next();
+  const authorizationHeader = req.get("authorization");
+
+  // no token sent => maybe a browser that logged in through the HTML form, then its session cookie identifies the user
+  // (req.session is loaded by middleware/session.js)
+  if (!authorizationHeader && req.session?.user) {
+    req.user = req.session.user;
+    return next();
+  }
+
+  const [scheme, token] = (authorizationHeader || "").split(" ");
 
-    // Here return statement may not be required - as the res.status(401).send() won't be executed as this middleware control/execution
-    // will be trasfered out as soon next() statement is called ??
+  if (scheme !== "Bearer" || !token) {
+    // passing an error to next() skips every remaining normal middleware && jumps straight to the error handler
+    // which sends the 401 (as JSON or as the styled HTML page - based on the Accept header)
+    return next(new UnauthorizedError("Please log in or send a bearer token"));
+  }
 
-    // NOPE here also RETURN is required even with next() call
-    return
+  try {
+    const claims = verifyToken(token);
+    req.user = { id: claims.sub, name: claims.name, role: claims.role };
+  } catch (error) {
+    // expired / tampered / malformed token
+    if (error instanceof TokenError) {
+      return next(new UnauthorizedError(error.message));
+    }
+    return next(error);
   }
-  
-  res.status(401).send(`<h1 style="font-family: cursive; color: red">You are not authorized to access this resource</h1>`)
+
+  // RETURN is required even with next() call if more code follows - here next() is the last statement anyway
+  next();
 };
 
 module.exports = authorize;
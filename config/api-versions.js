@@ -0,0 +1,23 @@
+// Every API version that is mounted, oldest first
+//   deprecated => responses carry a Deprecation header (+ Sunset / Link when set)
+//   sunset     => date after which the version may be removed (HTTP date in the Sunset header)
+//
+// Requests without a version in the URL (/api/people) use the Accept-Version header,
+// or DEFAULT_VERSION when there is none => the latest version, old clients opt into v1 themselves
+// (methods-public/javascript.html calls /api/v1/people => compatibility mode, see utils/envelope.js)
+const API_VERSIONS = {
+  v1: {
+    deprecated: true,
+    sunset: "2027-06-30T00:00:00Z",
+    // where to read about the migration => sent as Link: <...>; rel="deprecation"
+    link: "/api-explorer.html",
+  },
+  v2: {
+    deprecated: false,
+  },
+};
+
+const DEFAULT_VERSION = "v2";
+const LATEST_VERSION = "v2";
+
+module.exports = { API_VERSIONS, DEFAULT_VERSION, LATEST_VERSION };
@@ -0,0 +1,25 @@
+// Tax on EPF interest => used by epf_tax.js
+//
+// Interest on employee contributions (EPF + VPF) above the yearly threshold is taxable (from FY 2021-22)
+//   thresholdWithEmployer    => employer also contributes (private sector)
+//   thresholdWithoutEmployer => no employer contribution (ex: GPF like government schemes)
+//
+// taxSlabs => effective rate in %, health && education cess (4%) included
+//   slab-*  => the member's income tax slab
+//   tds-*   => what EPFO deducts at source (10% with PAN, 20% without)
+const EPF_TAX_RULES = {
+  thresholdWithEmployer: 250000,
+  thresholdWithoutEmployer: 500000,
+  taxSlabs: {
+    "slab-5": 5.2,
+    "slab-10": 10.4,
+    "slab-15": 15.6,
+    "slab-20": 20.8,
+    "slab-30": 31.2,
+    "tds-pan": 10,
+    "tds-no-pan": 20,
+  },
+  defaultTaxSlab: "slab-30",
+};
+
+module.exports = { EPF_TAX_RULES };
@@ -0,0 +1,70 @@
+// EPS-95 pension rules used by estimateEPSPension() in epf_eps_calculator.js
+//
+// One rule set per wage-ceiling period => pick it with ruleSet: "ceiling-15000" (default) | "ceiling-6500"
+// any value can be overridden per call (estimateEPSPension({ ..., rules: { minimumPension: 0 } }))
+//
+// Worked examples (ceiling-15000, salary ₹15,000, pension at 58 unless said otherwise) => test/eps-pension.test.js:
+//   20 years service  => 20 + 2 bonus years = 22 => 15000 × 22 / 70 = ₹4,714 / month
+//   35 years service  => capped at 35 years     => 15000 × 35 / 70 = ₹7,500 / month (the maximum)
+//   25 years, at 55   => 15000 × 27 / 70 = 5786, 3 years early × 4% => ₹5,091 / month
+//   9 years 7 months  => rounds up to 10 years  => 15000 × 10 / 70 = ₹2,143 / month
+//   8 years service   => not eligible           => withdrawal benefit 15000 × 8.27 = ₹1,24,050 once
+//   20 years, at 59 / 60 => 4714 deferred, 4% more a year => ₹4,903 / ₹5,091 per month
+//   higherPension, ₹50,000 wage, 30 years => no ceiling => 50000 × 32 / 70 = ₹22,857 / month
+//   ceiling-6500, ₹10,000 wage, 20 years  => 6500 × 22 / 70 = ₹2,043 / month
+//   ceiling-6500, 10 years                => 6500 × 10 / 70 = 929 => the ₹1,000 minimum
+// the test file names the published rule (EPS-95 paragraph / notification) behind every example
+
+const COMMON_RULES = {
+  // pension only after this much (rounded) service, less => withdrawal benefit
+  minServiceYears: 10,
+  // a part year of at least this many months counts as a full year (9 years 6 months => 10)
+  roundUpFromMonths: 6,
+  // (pensionable salary × pensionable service) / divisor
+  divisor: 70,
+  // service bonus ("weightage") => bonusYears added once the service reaches bonusFromServiceYears
+  bonusFromServiceYears: 20,
+  bonusYears: 2,
+  // cap on pensionable service, bonus included
+  maxServiceYears: 35,
+  // pension age => normal at 58, reduced from 50, deferred (increased) up to 60
+  normalPensionAge: 58,
+  earlyPensionAge: 50,
+  earlyReductionPctPerYear: 4,
+  maxDeferredAge: 60,
+  deferredIncreasePctPerYear: 4,
+  // guaranteed minimum monthly pension
+  minimumPension: 1000,
+  // Table D => withdrawal benefit = pensionable salary × factor of the completed (rounded) years
+  withdrawalFactors: {
+    1: 1.02,
+    2: 2.05,
+    3: 3.08,
+    4: 4.11,
+    5: 5.15,
+    6: 6.19,
+    7: 7.23,
+    8: 8.27,
+    9: 9.31,
+  },
+};
+
+const EPS_RULE_SETS = {
+  "ceiling-15000": {
+    ...COMMON_RULES,
+    label: "EPS-95, wage ceiling ₹15,000 (service from 1 September 2014)",
+    wageCeiling: 15000,
+    // pensionable salary = average of the last 60 months
+    averagingMonths: 60,
+  },
+  "ceiling-6500": {
+    ...COMMON_RULES,
+    label: "EPS-95, wage ceiling ₹6,500 (service before 1 September 2014)",
+    wageCeiling: 6500,
+    averagingMonths: 12,
+  },
+};
+
+const DEFAULT_EPS_RULE_SET = "ceiling-15000";
+
+module.exports = { EPS_RULE_SETS, DEFAULT_EPS_RULE_SET };
@@ -0,0 +1,23 @@
+const path = require("path");
+
+// Where uploaded files live && what we accept - all overridable through env variables
+//   UPLOAD_DIR           => directory on disk (default ./uploads), served at /uploads
+//   MAX_IMAGE_SIZE_BYTES => default 2 MB
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "..", "uploads"));
+const UPLOAD_URL_PREFIX = "/uploads";
+const MAX_IMAGE_SIZE_BYTES = Number(process.env.MAX_IMAGE_SIZE_BYTES) || 2 * 1024 * 1024;
+
+// mime type => file extension we save it with
+const ALLOWED_IMAGE_TYPES = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/gif": ".gif",
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  UPLOAD_URL_PREFIX,
+  MAX_IMAGE_SIZE_BYTES,
+  ALLOWED_IMAGE_TYPES,
+};
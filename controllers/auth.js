@@ -0,0 +1,70 @@
+const usersRepository = require("../repositories/users");
+const { UnauthorizedError } = require("../errors");
+const { verifyPassword } = require("../utils/password");
+const { signToken } = require("../utils/token");
+const asyncHandler = require("../utils/async-handler");
+const log = require("../utils/log");
+
+// a valid scrypt hash of a random password nobody knows => unknown names are checked against it,
+// so "no such user" takes as long as "wrong password" (otherwise the response time tells which names exist)
+const DUMMY_PASSWORD_HASH =
+  "scrypt$85e746f68f86d724a8e39c2a843294a1$9f3a710509d4209212780bff1efec45f1fc492341bbaf2a994fdbbaf1d3881ce0d0657a9bbd91e271e09e35a3f0e3b30ca43f6e43bc3375e2ddedcb0210fdaf9";
+
+// POST /login => checks name + password & then
+//   1. issues a signed token => API clients send it on every request as "Authorization: Bearer <token>"
+//   2. starts a server side session => browsers just send the session cookie back automatically
+const login = asyncHandler(async (req, res) => {
+  log.info(`Post request body - login attempt for`, req.body.name);
+  const { name, password } = req.body;
+
+  const user = await usersRepository.findByName(name.trim());
+  // same error && the same work for "no such user" && "wrong password" => we don't reveal which user names exist
+  const passwordMatches = await verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+  if (!user || !passwordMatches) {
+    throw new UnauthorizedError("Invalid name or password");
+  }
+
+  const sessionUser = { id: user.id, name: user.name, role: user.role };
+  await req.startSession({ user: sessionUser });
+
+  const { token, expiresAt } = signToken({
+    sub: user.id,
+    name: user.name,
+    role: user.role,
+  });
+
+  // the traditional HTML form (methods-public/index.html) still gets its welcome page
+  if (req.accepts(["json", "html"]) === "html") {
+    return res
+      .status(200)
+      .send(
+        `<h1 style="font-family: cursive;"> Welcome dear <span style="color: green">${user.name}</span></h1> <a href="/javascript.html">continue</a>`
+      );
+  }
+
+  res.status(200).json({
+    success: true,
+    token,
+    tokenType: "Bearer",
+    expiresAt: new Date(expiresAt * 1000).toISOString(),
+    user: sessionUser,
+  });
+});
+
+// POST /logout => ends the session & clears the cookie (bearer tokens simply expire on their own)
+const logout = asyncHandler(async (req, res) => {
+  await req.destroySession();
+
+  if (req.accepts(["json", "html"]) === "html") {
+    return res.redirect(303, "/index.html");
+  }
+
+  res.status(200).json({ success: true });
+});
+
+// GET /me => who is logged in (authorize has already set req.user from the token OR the session)
+const getCurrentUser = (req, res) => {
+  res.status(200).json({ success: true, user: req.user });
+};
+
+module.exports = { login, logout, getCurrentUser };
@@ -0,0 +1,49 @@
+const { computeEPFProjection, estimateEPSPension, NOTES } = require("../epf_eps_calculator");
+const asyncHandler = require("../utils/async-handler");
+const log = require("../utils/log");
+const { isCompatMode, sendEnvelope } = require("../utils/envelope");
+const { epfProjectionBody, epsPensionBody } = require("../schemas/epf");
+
+// the HTTP API is a thin layer over epf_eps_calculator.js => the CLI && the API can never disagree
+// bodies were already checked against schemas/epf.js in the router
+
+// only the fields of the schema are passed on, missing optional ones => the calculator's defaults
+const pickInputs = (body, schema) => {
+  const inputs = {};
+  Object.keys(schema).forEach((field) => {
+    if (body[field] !== undefined && body[field] !== null && body[field] !== "") {
+      inputs[field] = body[field];
+    }
+  });
+  return inputs;
+};
+
+// POST /api/epf/projection => { pfWage, years, employeePct?, vpfPct?, openingEPF?, annualRate?,
+//   salaryGrowthPct?, salarySteps?, vpfSteps?, annualRates?, monthly?, taxSlab?, taxRatePct? }
+// the result has a year by year schedule (opening balance, contributions, interest, closing balance)
+// && the tax on interest above the contribution threshold (postTaxFinalBalance, tax - see epf_tax.js)
+const projectEPF = asyncHandler(async (req, res) => {
+  const inputs = pickInputs(req.body, epfProjectionBody);
+  log.info(`EPF projection for `, inputs);
+  const projection = computeEPFProjection(inputs);
+
+  if (isCompatMode(req)) {
+    return res.status(200).json({ success: true, inputs, projection, notes: NOTES });
+  }
+  sendEnvelope(res, 200, { data: projection, meta: { inputs, notes: NOTES } });
+});
+
+// POST /api/eps/pension => { pensionableSalary, serviceYears, pensionAge?, ruleSet?, higherPension? }
+// the result says which rule applied (outcome) && why (explanation)
+const estimatePension = asyncHandler(async (req, res) => {
+  const inputs = pickInputs(req.body, epsPensionBody);
+  log.info(`EPS pension estimate for `, inputs);
+  const pension = estimateEPSPension(inputs);
+
+  if (isCompatMode(req)) {
+    return res.status(200).json({ success: true, inputs, pension });
+  }
+  sendEnvelope(res, 200, { data: pension, meta: { inputs } });
+});
+
+module.exports = { projectEPF, estimatePension };
@@ -1,101 +1,446 @@
-const { people } = require("../data");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
 
-const getPeople = (req, res) => {
-  res.status(200).json({ success: true, people });
+const peopleRepository = require("../repositories/people");
+const peopleHistory = require("../repositories/people-history");
+const { parseQuery, applyQuery, QueryParseError } = require("../utils/query");
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableEntityError,
+  UnsupportedMediaTypeError,
+} = require("../errors");
+const asyncHandler = require("../utils/async-handler");
+const log = require("../utils/log");
+const { etagFor, sendIfNotModified, ifMatchPrecondition } = require("../utils/http-cache");
+const { negotiateFormat, sendFormatted, parseCsv, toCsvRow } = require("../utils/formats");
+const { validateObject } = require("../middleware/validate");
+const { personBody, patchablePersonFields } = require("../schemas/people");
+const { isCompatMode, envelope, sendEnvelope } = require("../utils/envelope");
+const { PATCH_CONTENT_TYPES, PatchError, applyJsonPatch, applyMergePatch } = require("../utils/patch");
+
+// the person attributes a client may send (already validated against schemas/people.js)
+// empty optional values are left out instead of being stored as ""
+const pickPersonFields = (body = {}) => {
+  const fields = {};
+  Object.keys(personBody).forEach((key) => {
+    const value = typeof body[key] === "string" ? body[key].trim() : body[key];
+    if (value !== undefined && value !== null && value !== "") {
+      fields[key] = value;
+    }
+  });
+  return fields;
 };
 
-const createPerson = (req, res) => {
-  console.log(`Post request body - JSON`, req.body);
-  const { name } = req.body;
-  if (name) {
-    res.status(201).json({ success: true, person: name });
-    return;
-  }
+const PERSON_COLUMNS = ["id", "name", "email", "role", "createdAt", "updatedAt", "deletedAt"];
+
+const personNotFound = (personId) => new NotFoundError(`No resource with the Id ${personId} found`);
+
+// soft delete => a deleted person keeps its record, just with a deletedAt timestamp
+// they are left out of every list && count as "not found" unless the client asks for ?includeDeleted=true
+const isDeleted = (person) => Boolean(person.deletedAt);
 
-  res.status(400).json({ success: false, msg: "Please provide user name" });
+const activePeople = async () =>
+  (await peopleRepository.findAll()).filter((person) => !isDeleted(person));
+
+// Precondition for every change to an existing person (runs INSIDE the repository mutation)
+//   - deleted people can't be changed (404), only restored - and only deleted people can be restored (409)
+//   - If-Match (412), see utils/http-cache.js
+const changeGuard = (req, { restoring = false } = {}) => {
+  const ifMatch = ifMatchPrecondition(req);
+  return (person) => {
+    if (isDeleted(person) !== restoring) {
+      throw restoring ? new ConflictError(`Person ${person.id} isn't deleted`) : personNotFound(person.id);
+    }
+    ifMatch?.(person);
+  };
 };
 
-const createPersonPostman = (req, res) => {
-  console.log(`req body JSON `, req.body);
-  const { name } = req.body;
+// audit trail (repositories/people-history.js) => who did what, with the values before && after
+// passed as the repository's journal option => the entry is saved in the same queued mutation as the change itself
+// every route that changes people runs authorize first => req.user is the logged in caller (session or bearer)
+const actorOf = (req) => (req.user ? { id: req.user.id, name: req.user.name, role: req.user.role } : null);
+
+const audit = (req, action) => peopleHistory.historyEntry(action, actorOf(req));
+
+// where a created person can be fetched again => Location header of the 201 responses
+// req.baseUrl keeps the version the client used (/api/v2/people, /api/people ...)
+const locationOf = (req, person) => `${req.baseUrl}/${person.id}`;
 
-  if (name) {
-    return res.status(201).json({
-      success: true,
-      data: [...people, { name, id: people.length + 1 }],
+// GET /api/people?search=jo&sort=-id&fields=name&page=1&limit=2 - see utils/query.js for the full syntax
+// JSON by default, CSV / XML through the Accept header or ?format=csv|xml (see utils/formats.js)
+// ?includeDeleted=true => soft deleted people are listed too (only with people:history / people:delete, see middleware/include-deleted.js)
+const getPeople = asyncHandler(async (req, res) => {
+  const format = negotiateFormat(req);
+  // includeDeleted isn't a filter => keep it away from the query language
+  const { includeDeleted, ...query } = req.query;
+  let querySpec;
+  try {
+    querySpec = parseQuery(query, {
+      allowedFields: PERSON_COLUMNS,
+      searchField: "name",
     });
+  } catch (error) {
+    if (error instanceof QueryParseError) {
+      throw new BadRequestError(error.message);
+    }
+    throw error;
   }
 
-  res.status(400).json({ success: false, data: "Please provide a valid name" });
-};
+  const people = includeDeleted === "true" ? await peopleRepository.findAll() : await activePeople();
+  const { data, meta } = applyQuery(people, querySpec);
+  // compatibility mode (v1) => the old { success, people, meta } shape
+  const body = isCompatMode(req) ? { success: true, people: data, meta } : envelope({ data, meta });
+
+  // weak ETag => the list depends on the query params && the format, so we fingerprint exactly what this request gets
+  res.vary("Accept");
+  const notModified = sendIfNotModified(req, res, {
+    etag: etagFor({ format, body }, { weak: true }),
+    lastModified: await peopleRepository.lastModified(),
+  });
+  if (notModified) {
+    return;
+  }
+
+  res.status(200);
+  sendFormatted(res, format, {
+    rootName: "people",
+    itemName: "person",
+    rows: data,
+    meta,
+    json: body,
+  });
+});
 
-const updatePerson = (req, res) => {
+// GET /api/people/:personId => also how a client gets the ETag it needs for If-Match on PUT/DELETE
+const getPerson = asyncHandler(async (req, res) => {
   const { personId } = req.params;
-  const name = req.body?.name;
-  console.log(
+  const person = await peopleRepository.findById(personId);
+
+  if (!person || (isDeleted(person) && req.query.includeDeleted !== "true")) {
+    throw personNotFound(personId);
+  }
+
+  // Accept-Patch => tells clients which PATCH formats this resource understands (RFC 5789)
+  res.setHeader("Accept-Patch", Object.values(PATCH_CONTENT_TYPES).join(", "));
+  const notModified = sendIfNotModified(req, res, {
+    etag: etagFor(person),
+    lastModified: person.updatedAt,
+  });
+  if (notModified) {
+    return;
+  }
+
+  if (isCompatMode(req)) {
+    return res.status(200).json({ success: true, person });
+  }
+  sendEnvelope(res, 200, { data: person });
+});
+
+const createPerson = asyncHandler(async (req, res) => {
+  log.info(`Post request body - JSON`, req.body);
+  const person = await peopleRepository.create(pickPersonFields(req.body), { journal: audit(req, "create") });
+  res.location(locationOf(req, person));
+
+  // v1 clients (methods-public/javascript.html) only ever got the name back, v2 gets the whole created person
+  // ETag => only next to a body that IS the person, a validator must describe the body it came with
+  if (isCompatMode(req)) {
+    return res.status(201).json({ success: true, person: person.name });
+  }
+  res.setHeader("ETag", etagFor(person));
+  sendEnvelope(res, 201, { data: person });
+});
+
+const createPersonPostman = asyncHandler(async (req, res) => {
+  log.info(`req body JSON `, req.body);
+  const person = await peopleRepository.create(pickPersonFields(req.body), { journal: audit(req, "create") });
+  res.location(locationOf(req, person));
+
+  // v1 => the whole list, like it always did (so no ETag of the single person)
+  if (isCompatMode(req)) {
+    const people = await activePeople();
+    return res.status(201).json({ success: true, data: people });
+  }
+  res.setHeader("ETag", etagFor(person));
+  sendEnvelope(res, 201, { data: person });
+});
+
+const updatePerson = asyncHandler(async (req, res) => {
+  const { personId } = req.params;
+  const changes = pickPersonFields(req.body);
+  log.info(
     `personId of record to be updated `,
     personId,
-    ` ANd his new name is `,
-    name
+    ` ANd the new values are `,
+    changes
   );
 
-  const doesPersonExist = people.find(
-    (person) => person.id === Number(personId)
+  // If-Match => only update if nobody changed this person since the client fetched it (else 412)
+  // only the fields that were sent change => a client that only knows about name doesn't wipe email / role
+  const updatedPerson = await peopleRepository.update(personId, changes, {
+    precondition: changeGuard(req),
+    journal: audit(req, "update"),
+  });
+
+  if (!updatedPerson) {
+    throw personNotFound(personId);
+  }
+
+  // v1 => the whole list (so no ETag of the single person), v2 => just the person that changed
+  if (isCompatMode(req)) {
+    const people = await activePeople();
+    return res.status(200).json({ success: true, data: people });
+  }
+  res.setHeader("ETag", etagFor(updatedPerson));
+  sendEnvelope(res, 200, { data: updatedPerson });
+});
+
+const deletePerson = asyncHandler(async (req, res) => {
+  const { personId } = req.params;
+  log.info(`personId of record to be deleted `, personId);
+
+  // soft delete => only marked as deleted, POST /api/people/:personId/restore brings them back
+  const deletedPerson = await peopleRepository.update(
+    personId,
+    { deletedAt: new Date().toISOString() },
+    { precondition: changeGuard(req), journal: audit(req, "delete") }
   );
 
-  if (!personId || !name) {
-    return res.status(400).json({
-      success: false,
-      msg: "Please provide the id of the resource to be updated && their new name",
-    });
+  if (!deletedPerson) {
+    throw personNotFound(personId);
   }
 
-  if (!doesPersonExist) {
-    return res.status(404).json({
-      success: false,
-      msg: `No resource with the Id ${personId} found`,
-    });
+  // v1 => the people that are left, v2 => the person that was removed
+  if (isCompatMode(req)) {
+    const people = await activePeople();
+    return res.status(200).json({ success: true, data: people });
   }
+  sendEnvelope(res, 200, { data: deletedPerson });
+});
 
-  const updatedPeopleList = people.map((person) =>
-    person.id === Number(personId) ? { ...person, name } : person
+// POST /api/people/:personId/restore => undoes a (soft) delete, 409 if the person isn't deleted
+const restorePerson = asyncHandler(async (req, res) => {
+  const { personId } = req.params;
+  log.info(`personId of record to be restored `, personId);
+
+  const person = await peopleRepository.replaceWith(
+    personId,
+    ({ id, createdAt, updatedAt, deletedAt, ...fields }) => fields,
+    { precondition: changeGuard(req, { restoring: true }), journal: audit(req, "restore") }
   );
-  res.status(200).json({ success: true, data: updatedPeopleList });
+
+  if (!person) {
+    throw personNotFound(personId);
+  }
+
+  res.setHeader("ETag", etagFor(person));
+  if (isCompatMode(req)) {
+    return res.status(200).json({ success: true, person });
+  }
+  sendEnvelope(res, 200, { data: person });
+});
+
+// GET /api/people/:personId/history => the audit trail of one person, oldest entry first
+// deleted people still have their history
+const getPersonHistory = asyncHandler(async (req, res) => {
+  const { personId } = req.params;
+
+  if (!(await peopleRepository.findById(personId))) {
+    throw personNotFound(personId);
+  }
+
+  const history = await peopleHistory.findByPersonId(personId);
+  if (isCompatMode(req)) {
+    return res.status(200).json({ success: true, history });
+  }
+  sendEnvelope(res, 200, { data: history, meta: { total: history.length } });
+});
+
+// what went wrong in a patch => status code (see utils/patch.js)
+const toPatchHttpError = (error) => {
+  if (error.code === "TEST_FAILED") return new ConflictError(error.message);
+  if (error.code === "INVALID_PATH") return new UnprocessableEntityError(error.message);
+  return new BadRequestError(error.message);
 };
 
-const deletePerson = (req, res) => {
+// PATCH /api/people/:personId
+//   Content-Type: application/merge-patch+json => { "email": "ann@example.com", "role": null }
+//   Content-Type: application/json-patch+json  => [{ "op": "test", "path": "/name", "value": "ann" },
+//                                                  { "op": "replace", "path": "/role", "value": "admin" }]
+// the patch is applied inside ONE repository mutation && the result is validated like a POST body
+// => it's saved completely or not at all (400 bad patch, 409 failed test, 412 If-Match, 422 invalid path / result)
+const patchPerson = asyncHandler(async (req, res) => {
   const { personId } = req.params;
-  console.log(`personId of record to be deleted `, personId);
+  const patchType = req.is(Object.values(PATCH_CONTENT_TYPES));
 
-  const doesPersonExist = people.find(
-    (person) => person.id === Number(personId)
-  );
+  if (!patchType) {
+    res.setHeader("Accept-Patch", Object.values(PATCH_CONTENT_TYPES).join(", "));
+    throw new UnsupportedMediaTypeError(
+      `PATCH needs Content-Type ${Object.values(PATCH_CONTENT_TYPES).join(" or ")}`
+    );
+  }
+  log.info(`PATCH (${patchType}) of personId `, personId, req.body);
 
-  if (!personId) {
-    return res.status(400).json({
-      success: false,
-      msg: "Please provide the id of the resource to be deleted",
-    });
+  const applyPatch = (person) => {
+    let patched;
+    try {
+      const options = { writable: patchablePersonFields };
+      patched =
+        patchType === PATCH_CONTENT_TYPES.merge
+          ? applyMergePatch(person, req.body, options)
+          : applyJsonPatch(person, req.body, options);
+    } catch (error) {
+      throw error instanceof PatchError ? toPatchHttpError(error) : error;
+    }
+
+    const errors = validateObject(personBody, patched);
+    if (errors.length) {
+      throw new UnprocessableEntityError(
+        "The patched person is invalid, nothing was saved",
+        errors.map((error) => ({ location: "body", ...error }))
+      );
+    }
+    return pickPersonFields(patched);
+  };
+
+  const person = await peopleRepository.replaceWith(personId, applyPatch, {
+    precondition: changeGuard(req),
+    journal: audit(req, "update"),
+  });
+
+  if (!person) {
+    throw personNotFound(personId);
   }
 
-  if (!doesPersonExist) {
-    return res.status(404).json({
-      success: false,
-      msg: `No resource with the Id ${personId} found`,
+  res.setHeader("ETag", etagFor(person));
+  if (isCompatMode(req)) {
+    return res.status(200).json({ success: true, person });
+  }
+  sendEnvelope(res, 200, { data: person });
+});
+
+const MAX_BULK_ROWS = 1000;
+
+// POST /api/people/bulk => JSON array (or { people: [...] }) OR a CSV upload (Content-Type: text/csv)
+//   ?mode=atomic  (default) => one invalid row rejects the whole import, nothing is saved
+//   ?mode=partial           => valid rows are saved, invalid ones are reported back
+// every row is checked with the same schema as POST /api/people, errors name the row (1 based)
+const bulkImportPeople = asyncHandler(async (req, res) => {
+  const mode = req.query.mode || "atomic";
+  const rows = req.is("text/csv")
+    ? parseCsv(req.body || "")
+    : Array.isArray(req.body)
+      ? req.body
+      : req.body?.people;
+
+  if (!Array.isArray(rows) || !rows.length) {
+    throw new BadRequestError("Please send a non empty JSON array of people or a CSV file");
+  }
+  if (rows.length > MAX_BULK_ROWS) {
+    throw new BadRequestError(`At most ${MAX_BULK_ROWS} rows can be imported at once`);
+  }
+
+  // flat { location, row, field, msg } items like every other validation error, row => which one (1 based)
+  const rowErrors = [];
+  const validPeople = [];
+  let failed = 0;
+  rows.forEach((row, index) => {
+    const errors = validateObject(personBody, row ?? {});
+    if (errors.length) {
+      failed += 1;
+      errors.forEach(({ field, msg }) => rowErrors.push({ location: "body", row: index + 1, field, msg }));
+    } else {
+      validPeople.push(pickPersonFields(row));
+    }
+  });
+  log.info(`bulk import (${mode}) - ${validPeople.length} valid, ${failed} invalid rows`);
+
+  if (mode === "atomic" && rowErrors.length) {
+    throw new BadRequestError("Import rejected, no rows were saved", rowErrors);
+  }
+
+  const created = validPeople.length
+    ? await peopleRepository.createMany(validPeople, { journal: audit(req, "create") })
+    : [];
+
+  // 207 Multi-Status => some rows made it, some didn't
+  const status = rowErrors.length ? 207 : 201;
+  if (isCompatMode(req)) {
+    return res.status(status).json({
+      success: rowErrors.length === 0,
+      created: created.length,
+      failed,
+      people: created,
+      ...(rowErrors.length && { errors: rowErrors }),
     });
   }
+  sendEnvelope(res, status, {
+    data: created,
+    meta: { mode, created: created.length, failed },
+    errors: rowErrors,
+  });
+});
 
-  const updatedPeopleList = people.filter(
-    (person) => person.id !== Number(personId)
-  );
+// GET /api/people/export?format=csv (default) | ndjson, ?includeDeleted=true => soft deleted people too
+// written row by row, waiting for the socket whenever it's full => the export itself is never built as one big string
+// NOTE: the records still come from ONE findAll() - our stores keep a collection as a single document (memory / one
+// JSON file), so there is nothing to page through (documented in the route's API docs). Only the serialisation is
+// streamed, soft deleted people are skipped on the way out instead of being copied into a filtered list first
+const exportPeople = asyncHandler(async (req, res) => {
+  const format = req.query.format || "csv";
+  const includeDeleted = req.query.includeDeleted === "true";
+  const people = await peopleRepository.findAll();
+  const columns = PERSON_COLUMNS;
 
-  res.status(200).json({ success: true, data: updatedPeopleList });
-};
+  function* exported() {
+    for (const person of people) {
+      if (includeDeleted || !isDeleted(person)) yield person;
+    }
+  }
+
+  function* lines() {
+    if (format === "csv") {
+      yield `${columns.join(",")}\r\n`;
+      for (const person of exported()) {
+        yield `${toCsvRow(person, columns)}\r\n`;
+      }
+      return;
+    }
+    for (const person of exported()) {
+      yield `${JSON.stringify(person)}\n`;
+    }
+  }
+
+  // attachment() guesses a Content-Type from the file name => set ours AFTER it
+  res
+    .status(200)
+    .attachment(`people.${format}`)
+    .type(format === "csv" ? "text/csv" : "application/x-ndjson");
+
+  // pipeline handles backpressure (pauses on a full socket) && stops early when the client goes away
+  try {
+    await pipeline(Readable.from(lines()), res);
+  } catch (error) {
+    // the client closed the connection midway (cancelled download, closed tab) => nothing went wrong on our side
+    if (error.code === "ERR_STREAM_PREMATURE_CLOSE") {
+      log.info(`Export aborted by the client`);
+      return;
+    }
+    throw error;
+  }
+});
 
 module.exports = {
   getPeople,
+  getPerson,
   createPerson,
   createPersonPostman,
   updatePerson,
+  patchPerson,
   deletePerson,
+  restorePerson,
+  getPersonHistory,
+  bulkImportPeople,
+  exportPeople,
 };
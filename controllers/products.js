@@ -0,0 +1,238 @@
+const productsRepository = require("../repositories/products");
+const { BadRequestError, NotFoundError } = require("../errors");
+const asyncHandler = require("../utils/async-handler");
+const { etagFor, sendIfNotModified, ifMatchPrecondition } = require("../utils/http-cache");
+const { negotiateFormat, sendFormatted } = require("../utils/formats");
+const { toUploadUrl, isUploadUrl, removeUploadedFile } = require("../utils/uploads");
+const { parseQuery, applyQuery, QueryParseError } = require("../utils/query");
+
+// only the known product fields are stored - anything else in the body is ignored
+const pickProductFields = (body = {}) => {
+  const fields = {};
+  ["name", "price", "image", "desc"].forEach((key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  });
+  return fields;
+};
+
+const productNotFound = (productId) =>
+  new NotFoundError(`No product with the Id ${productId} found`);
+
+// an /uploads/... image is only ever set by the upload endpoint => a client may send back the product's OWN
+// current image (ex: GET, edit, PUT) but never another one, otherwise product A could point at product B's file
+// && replacing / deleting A would remove B's image
+const checkImage = (image, current) => {
+  if (isUploadUrl(image) && image !== current?.image) {
+    throw new BadRequestError("Validation failed", [
+      {
+        location: "body",
+        field: "image",
+        msg: "image can only be set to an /uploads/ path by uploading a file (POST /api/products/:productId/image)",
+      },
+    ]);
+  }
+};
+
+// record => just the stored fields, for repository.replaceWith()
+const withoutMeta = ({ id, createdAt, updatedAt, ...fields }) => fields;
+
+// GET /api/<version>/products?price[gte]=10&sort=-price,name&fields=id,name&page=1&limit=2
+// same query language as GET /api/people (utils/query.js) - it grew out of the /api/v1/query demo in 07-route-and-query-params.js
+// JSON by default, CSV / XML through the Accept header or ?format=csv|xml (see utils/formats.js)
+const getProducts = asyncHandler(async (req, res) => {
+  const format = negotiateFormat(req);
+  let querySpec;
+  try {
+    querySpec = parseQuery(req.query, {
+      allowedFields: ["id", "name", "price", "image", "desc", "createdAt", "updatedAt"],
+      searchField: "name",
+    });
+  } catch (error) {
+    if (error instanceof QueryParseError) {
+      throw new BadRequestError(error.message);
+    }
+    throw error;
+  }
+
+  const { data: products, meta } = applyQuery(await productsRepository.findAll(), querySpec);
+  const body = { success: true, products, meta };
+
+  res.vary("Accept");
+  const notModified = sendIfNotModified(req, res, {
+    etag: etagFor({ format, body }, { weak: true }),
+    lastModified: await productsRepository.lastModified(),
+  });
+  if (notModified) {
+    return;
+  }
+
+  res.status(200);
+  sendFormatted(res, format, {
+    rootName: "products",
+    itemName: "product",
+    rows: products,
+    meta,
+    json: body,
+  });
+});
+
+const getProduct = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const product = await productsRepository.findById(productId);
+
+  if (!product) {
+    throw productNotFound(productId);
+  }
+
+  const notModified = sendIfNotModified(req, res, {
+    etag: etagFor(product),
+    lastModified: product.updatedAt,
+  });
+  if (notModified) {
+    return;
+  }
+
+  res.status(200).json({ success: true, product });
+});
+
+// the body was already checked against schemas/products.js in the router
+const createProduct = asyncHandler(async (req, res) => {
+  const fields = pickProductFields(req.body);
+  checkImage(fields.image);
+  const product = await productsRepository.create(fields);
+  res.status(201).json({ success: true, product });
+});
+
+// PUT => full replace, so every required field has to be sent again
+// the previous image is read INSIDE the repository mutation => two concurrent writes can't each see (&& delete)
+// an image the other one just set
+const replaceProduct = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const fields = pickProductFields(req.body);
+  let previousImage;
+  const product = await productsRepository.replaceWith(
+    productId,
+    (current) => {
+      checkImage(fields.image, current);
+      previousImage = current.image;
+      return fields;
+    },
+    { precondition: ifMatchPrecondition(req) }
+  );
+
+  if (!product) {
+    throw productNotFound(productId);
+  }
+
+  // the image was swapped out (or dropped) => its uploaded file isn't referenced anymore
+  if (previousImage !== product.image) {
+    await removeUploadedFile(previousImage);
+  }
+
+  res.setHeader("ETag", etagFor(product));
+  res.status(200).json({ success: true, product });
+});
+
+// PATCH => partial update, only the fields sent in the body are changed
+const updateProduct = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const changes = pickProductFields(req.body);
+
+  if (!Object.keys(changes).length) {
+    throw new BadRequestError("Please provide at least one of name, price, image, desc");
+  }
+
+  let previousImage;
+  const product = await productsRepository.replaceWith(
+    productId,
+    (current) => {
+      checkImage(changes.image, current);
+      previousImage = current.image;
+      return { ...withoutMeta(current), ...changes };
+    },
+    { precondition: ifMatchPrecondition(req) }
+  );
+
+  if (!product) {
+    throw productNotFound(productId);
+  }
+
+  if (previousImage !== product.image) {
+    await removeUploadedFile(previousImage);
+  }
+
+  res.setHeader("ETag", etagFor(product));
+  res.status(200).json({ success: true, product });
+});
+
+const deleteProduct = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const product = await productsRepository.remove(productId, {
+    precondition: ifMatchPrecondition(req),
+  });
+
+  if (!product) {
+    throw productNotFound(productId);
+  }
+
+  await removeUploadedFile(product.image);
+  res.status(200).json({ success: true, product });
+});
+
+// POST /api/products/:productId/image => multipart/form-data with an "image" file
+// middleware/upload-image.js has already validated && saved the file as req.file
+const uploadProductImage = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const image = toUploadUrl(req.file.path);
+
+  let previousImage;
+  const product = await productsRepository.replaceWith(productId, (current) => {
+    previousImage = current.image;
+    return { ...withoutMeta(current), image };
+  });
+
+  if (!product) {
+    // nothing references the file we just saved => don't leave it behind
+    await removeUploadedFile(image);
+    throw productNotFound(productId);
+  }
+
+  await removeUploadedFile(previousImage);
+
+  res.setHeader("ETag", etagFor(product));
+  res.status(200).json({ success: true, product });
+});
+
+// DELETE /api/products/:productId/image => removes the image (&& its uploaded file)
+const deleteProductImage = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  let previousImage;
+  // PUT semantics without the image field => the field is dropped from the record
+  const product = await productsRepository.replaceWith(productId, (current) => {
+    const { image, ...rest } = withoutMeta(current);
+    previousImage = image;
+    return rest;
+  });
+
+  if (!product) {
+    throw productNotFound(productId);
+  }
+
+  await removeUploadedFile(previousImage);
+
+  res.setHeader("ETag", etagFor(product));
+  res.status(200).json({ success: true, product });
+});
+
+module.exports = {
+  getProducts,
+  getProduct,
+  createProduct,
+  replaceProduct,
+  updateProduct,
+  deleteProduct,
+  uploadProductImage,
+  deleteProductImage,
+};
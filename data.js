@@ -39,4 +39,30 @@ const people = [
   { id: 4, name: "anna" },
   { id: 5, name: "emma" },
 ];
-module.exports = { products, people };
+// Login accounts => only salted scrypt hashes are stored (see utils/password.js)
+// demo passwords: john => john-secret, peter => peter-secret, susan => susan-secret
+// role decides what each user may do - see config/roles.json
+const users = [
+  {
+    id: 1,
+    name: "john",
+    role: "admin",
+    passwordHash:
+      "scrypt$f06fdee395c4b01fa9b6ae92f96d36e4$b3f77f6f57fccabe0735066e42029d20dfc532eb44e7166c5779091a3d4623ee327fb22deaab21b8c0938221bee9732a8b0eb98a9a65704dce99c76d6b29353e",
+  },
+  {
+    id: 2,
+    name: "peter",
+    role: "editor",
+    passwordHash:
+      "scrypt$48596260bea0f668c253fb0f776ae793$8d9a235249b42672f0c49fa5695d150fc2e210b8196c8dd916fb106052bfc8cd807d1753a09e5c2fd833b7c9c34e895f38a592a08dd8865d74ae5879f6f15549",
+  },
+  {
+    id: 3,
+    name: "susan",
+    role: "viewer",
+    passwordHash:
+      "scrypt$5579795fa140c22ecc42119820b5be77$aa9c3c7e23a8efbcffe219ce93302216ad92ba21b0076a62036a83783d2ba12fbd78c7fcb988f51fbb97d20f43748b6597ad372538bbb3cb8013832a7bdfeec1",
+  },
+];
+module.exports = { products, people, users };
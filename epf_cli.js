@@ -0,0 +1,382 @@
+/**
+ * Command line interface of epf_eps_calculator.js
+ *
+ * Every flag is declared once in FLAGS (type, description, default) => parsing, --help and the error messages
+ * all come from that table. The values are then checked with the same schemas as the HTTP API (schemas/epf.js),
+ * so the CLI and POST /api/epf/projection accept exactly the same ranges.
+ *
+ *  node epf_eps_calculator.js --help
+ *  node epf_eps_calculator.js --config scenario.json --years 25 --format table
+ *
+ * --config file.json => a saved scenario, keys are the flag names (plus salarySteps / vpfSteps arrays),
+ * flags given on the command line win over the file.
+ *
+ * Exit codes: 0 => ok, 1 => invalid input (unknown flag, bad value, unreadable config ...)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { version } = require('./package.json');
+const { validateObject } = require('./middleware/validate');
+const { epfProjectionBody, epsPensionBody } = require('./schemas/epf');
+const { EPS_RULE_SETS } = require('./config/eps-rules');
+const { EPF_TAX_RULES } = require('./config/epf-tax');
+const { toCsv } = require('./utils/formats');
+
+const FORMATS = ['json', 'table', 'csv'];
+
+// type => how the raw text is turned into a value
+//   number | integer | boolean | string | number-list ("8.25,8.1") | json ('[{"fromYear":5,"pfWage":60000}]')
+const FLAGS = {
+  // EPF projection
+  pfWage: { group: 'EPF', type: 'number', default: 40000, description: 'Monthly PF wage (Basic + DA) in ₹' },
+  employeePct: { group: 'EPF', type: 'number', default: 12, description: 'Employee EPF contribution in %' },
+  vpfPct: { group: 'EPF', type: 'number', default: 0, description: 'Voluntary PF in %' },
+  years: { group: 'EPF', type: 'number', default: 20, description: 'Years of contributions' },
+  openingEPF: { group: 'EPF', type: 'number', default: 0, description: 'EPF balance at the start in ₹' },
+  annualRate: { group: 'EPF', type: 'number', default: 8.25, description: 'EPF interest rate in % per year' },
+  salaryGrowthPct: { group: 'EPF', type: 'number', default: 0, description: 'Yearly increment of the PF wage in %' },
+  annualRates: { group: 'EPF', type: 'number-list', description: 'Rate per year, year 1 first, ex: 8.25,8.15,8.1' },
+  salarySteps: { group: 'EPF', type: 'json', description: 'Wage from a year on, ex: [{"fromYear":5,"pfWage":60000}]' },
+  vpfSteps: { group: 'EPF', type: 'json', description: 'VPF changes, ex: [{"fromYear":10,"vpfPct":5}]' },
+  vpfChangeYear: { group: 'EPF', type: 'integer', description: 'Shortcut for one VPF change: from this year ...' },
+  vpfChangePct: { group: 'EPF', type: 'number', description: '... to this VPF %' },
+  monthly: { group: 'EPF', type: 'boolean', default: false, description: 'Month by month rows in the schedule' },
+  taxSlab: {
+    group: 'EPF',
+    type: 'string',
+    enum: Object.keys(EPF_TAX_RULES.taxSlabs),
+    description: `Tax rate of the taxable interest (default ${EPF_TAX_RULES.defaultTaxSlab})`,
+  },
+  taxRatePct: { group: 'EPF', type: 'number', description: 'Effective tax rate in %, wins over --taxSlab' },
+  // EPS pension
+  pensionableSalary: { group: 'EPS', type: 'number', default: 15000, description: 'Average monthly pensionable salary in ₹' },
+  serviceYears: { group: 'EPS', type: 'number', description: 'Pensionable service in years (default --years)' },
+  pensionAge: { group: 'EPS', type: 'number', description: 'Age the pension starts, 50 - 60 (default 58)' },
+  epsRuleSet: {
+    group: 'EPS',
+    type: 'string',
+    enum: Object.keys(EPS_RULE_SETS),
+    description: 'Wage-ceiling period (default ceiling-15000)',
+  },
+  higherPension: { group: 'EPS', type: 'boolean', default: false, description: 'Pension on actual wages, no ceiling' },
+  // output
+  config: { group: 'Output', type: 'string', description: 'Read the inputs from a JSON file (flags win)' },
+  format: { group: 'Output', type: 'string', enum: FORMATS, default: 'json', description: 'json | table | csv (csv => the yearly schedule)' },
+  help: { group: 'Output', type: 'boolean', description: 'Show this help' },
+  version: { group: 'Output', type: 'boolean', description: 'Show the version' },
+};
+
+// only allowed on the command line, not inside a config file
+const CLI_ONLY = ['config', 'help', 'version'];
+
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliError';
+  }
+}
+
+// "--pfwage" => "did you mean --pfWage?"
+function suggest(name) {
+  const match = Object.keys(FLAGS).find((flag) => flag.toLowerCase() === name.toLowerCase());
+  return match ? ` - did you mean --${match}?` : '';
+}
+
+// raw flag / config value => typed value, or a CliError naming the flag && what it expected
+function coerce(name, flag, value) {
+  const fail = (expected) => {
+    throw new CliError(`--${name} expects ${expected}, got ${JSON.stringify(value)}`);
+  };
+  const toNumber = (item) =>
+    typeof item === 'number' || (typeof item === 'string' && item.trim() !== '') ? Number(item) : NaN;
+
+  switch (flag.type) {
+    case 'number':
+    case 'integer': {
+      const number = toNumber(value);
+      if (!Number.isFinite(number)) fail('a number');
+      if (flag.type === 'integer' && !Number.isInteger(number)) fail('a whole number');
+      return number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return fail('true or false');
+    case 'number-list': {
+      const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : fail('a comma separated list of numbers');
+      const numbers = items.map(toNumber);
+      if (!numbers.length || numbers.some((number) => !Number.isFinite(number))) fail('a comma separated list of numbers');
+      return numbers;
+    }
+    case 'json':
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch {
+        return fail('valid JSON');
+      }
+    default:
+      if (typeof value !== 'string') fail('a text value');
+      if (flag.enum && !flag.enum.includes(value)) fail(`one of ${flag.enum.join(', ')}`);
+      return value;
+  }
+}
+
+/**
+ * argv (without node && the script) => { flagName: typedValue }
+ * accepts "--flag value", "--flag=value" && bare "--flag" for booleans
+ */
+function parseArgs(argv) {
+  const values = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new CliError(`Unexpected argument "${arg}" - flags look like --pfWage 40000`);
+    }
+
+    const equals = arg.indexOf('=');
+    const name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+    const flag = FLAGS[name];
+    if (!flag) {
+      throw new CliError(`Unknown flag --${name}${suggest(name)}`);
+    }
+    if (name in values) {
+      throw new CliError(`--${name} is given more than once`);
+    }
+
+    let raw = equals === -1 ? undefined : arg.slice(equals + 1);
+    if (raw === undefined && flag.type === 'boolean') {
+      raw = true;
+    } else if (raw === undefined) {
+      // negative numbers are values ("-5"), only "--..." is the next flag
+      raw = argv[i + 1];
+      if (raw === undefined || raw.startsWith('--')) {
+        throw new CliError(`--${name} needs a value (${flag.type})`);
+      }
+      i++;
+    }
+    values[name] = coerce(name, flag, raw);
+  }
+  return values;
+}
+
+// --config file.json => the same keys as the flags
+function loadConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (error) {
+    throw new CliError(`Can't read config file ${file}: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new CliError(`Config file ${file} has to contain a JSON object`);
+  }
+
+  const values = {};
+  Object.entries(config).forEach(([name, value]) => {
+    if (!FLAGS[name] || CLI_ONLY.includes(name)) {
+      throw new CliError(`Unknown key "${name}" in config file ${file}${suggest(name)}`);
+    }
+    values[name] = coerce(name, FLAGS[name], value);
+  });
+  return values;
+}
+
+/**
+ * flags (+ config file) => the inputs of computeEPFProjection && estimateEPSPension
+ * checked against schemas/epf.js => the same rules as the HTTP API
+ */
+function resolveInputs(values) {
+  const options = {};
+  Object.entries(FLAGS).forEach(([name, flag]) => {
+    if (values[name] !== undefined) options[name] = values[name];
+    else if (flag.default !== undefined) options[name] = flag.default;
+  });
+
+  if (options.vpfChangePct !== undefined && options.vpfChangeYear === undefined) {
+    throw new CliError('--vpfChangePct needs --vpfChangeYear');
+  }
+  if (options.vpfChangeYear !== undefined && options.vpfSteps !== undefined) {
+    throw new CliError('Use either --vpfSteps or --vpfChangeYear / --vpfChangePct, not both');
+  }
+
+  const epf = {
+    pfWage: options.pfWage,
+    employeePct: options.employeePct,
+    vpfPct: options.vpfPct,
+    years: options.years,
+    openingEPF: options.openingEPF,
+    annualRate: options.annualRate,
+    salaryGrowthPct: options.salaryGrowthPct,
+    salarySteps: options.salarySteps,
+    vpfSteps:
+      options.vpfChangeYear !== undefined
+        ? [{ fromYear: options.vpfChangeYear, vpfPct: options.vpfChangePct ?? 0 }]
+        : options.vpfSteps,
+    annualRates: options.annualRates,
+    monthly: options.monthly,
+    taxSlab: options.taxSlab,
+    taxRatePct: options.taxRatePct,
+  };
+  const eps = {
+    pensionableSalary: options.pensionableSalary,
+    serviceYears: options.serviceYears ?? options.years,
+    pensionAge: options.pensionAge,
+    ruleSet: options.epsRuleSet,
+    higherPension: options.higherPension,
+  };
+
+  // "ruleSet must be one of ..." => "--epsRuleSet must be one of ...", one line per field
+  const flagOf = { ruleSet: 'epsRuleSet' };
+  const errors = [...validateObject(epfProjectionBody, epf), ...validateObject(epsPensionBody, eps)];
+  if (errors.length) {
+    throw new CliError(
+      errors.map(({ field, msg }) => msg.replace(field, `--${flagOf[field] ?? field}`)).join('\n')
+    );
+  }
+
+  // undefined => the calculator's own defaults
+  const defined = (inputs) => Object.fromEntries(Object.entries(inputs).filter(([, value]) => value !== undefined));
+  return { options, epf: defined(epf), eps: defined(eps) };
+}
+
+function helpText() {
+  const lines = [
+    `EPF / EPS calculator ${version}`,
+    '',
+    'Usage: node epf_eps_calculator.js [--flag value ...]',
+    '',
+  ];
+  ['EPF', 'EPS', 'Output'].forEach((group) => {
+    lines.push(`${group}:`);
+    Object.entries(FLAGS)
+      .filter(([, flag]) => flag.group === group)
+      .forEach(([name, flag]) => {
+        const usage = `--${name}${flag.type === 'boolean' ? '' : ` <${flag.enum ? flag.enum.join('|') : flag.type}>`}`;
+        const defaultText = flag.default !== undefined && flag.type !== 'boolean' ? ` (default ${flag.default})` : '';
+        // long usages (enums) => the description goes on the next line
+        const text = `${flag.description}${defaultText}`;
+        if (usage.length > 34) lines.push(`  ${usage}`, `  ${''.padEnd(34)} ${text}`);
+        else lines.push(`  ${usage.padEnd(34)} ${text}`);
+      });
+    lines.push('');
+  });
+  lines.push(
+    'Examples:',
+    '  node epf_eps_calculator.js --pfWage 30000 --years 25 --salaryGrowthPct 6 --format table',
+    '  node epf_eps_calculator.js --config scenario.json --taxSlab slab-20 --format csv > schedule.csv',
+    '',
+    'Exit code 1 => invalid input.'
+  );
+  return lines.join('\n');
+}
+
+// plain text table => numbers right aligned, columns as wide as their widest cell
+function formatTable(rows, columns) {
+  const cells = rows.map((row) => columns.map((column) => String(row[column] ?? '')));
+  const widths = columns.map((column, index) => Math.max(column.length, ...cells.map((row) => row[index].length)));
+  const line = (values) =>
+    values
+      .map((value, index) => (/^-?[\d.]+$/.test(value) ? value.padStart(widths[index]) : value.padEnd(widths[index])))
+      .join('  ');
+  return [line(columns), widths.map((width) => '-'.repeat(width)).join('  '), ...cells.map(line)].join('\n');
+}
+
+const SCHEDULE_COLUMNS = [
+  'year',
+  'pfWage',
+  'vpfPct',
+  'annualRate',
+  'openingBalance',
+  'employeeContrib',
+  'vpfContrib',
+  'employerEPFContrib',
+  'interest',
+  'closingBalance',
+  'taxableInterest',
+  'tax',
+];
+
+// schedule rows + the tax of the same year => one row per year
+function yearlyRows(epf) {
+  return epf.schedule.map((year, index) => ({
+    ...year,
+    taxableInterest: epf.tax.perYear[index].taxableInterest,
+    tax: epf.tax.perYear[index].tax,
+  }));
+}
+
+function formatOutput(format, result) {
+  if (format === 'csv') {
+    return toCsv(yearlyRows(result.epf), SCHEDULE_COLUMNS).trimEnd();
+  }
+  if (format === 'table') {
+    const { epf, eps } = result;
+    const summary = [
+      ['EPF final balance', epf.finalBalance],
+      ['EPF after tax', epf.postTaxFinalBalance],
+      ['Employee contributions', epf.totalEmployeeContrib],
+      ['Employer EPF contributions', epf.totalEmployerEPFContrib],
+      ['Interest', epf.totalInterest],
+      ['Tax on interest', `${epf.tax.totalTax} (${epf.tax.taxRatePct}%)`],
+      ['EPS outcome', eps.outcome],
+      ['EPS monthly pension', eps.monthlyPension],
+      ['EPS withdrawal benefit', eps.withdrawalBenefit],
+    ].map(([label, value]) => `${label.padEnd(28)} ${value}`);
+    return [
+      ...summary,
+      '',
+      formatTable(yearlyRows(epf), SCHEDULE_COLUMNS),
+      '',
+      ...eps.explanation.map((line) => `* ${line}`),
+      ...result.notes.map((note) => `* ${note}`),
+    ].join('\n');
+  }
+  return JSON.stringify(result, null, 2);
+}
+
+/**
+ * @param {string[]} argv - process.argv.slice(2)
+ * @param {{ stdout?: (text: string) => void, stderr?: (text: string) => void }} [io]
+ * @returns {number} exit code
+ */
+function run(argv, { stdout = console.log, stderr = console.error } = {}) {
+  // required here => epf_eps_calculator.js requires this file when run from the command line
+  const { computeEPFProjection, estimateEPSPension, NOTES } = require('./epf_eps_calculator');
+
+  try {
+    const flags = parseArgs(argv);
+    if (flags.help) {
+      stdout(helpText());
+      return 0;
+    }
+    if (flags.version) {
+      stdout(version);
+      return 0;
+    }
+
+    const values = flags.config ? { ...loadConfig(flags.config), ...flags } : flags;
+    const { options, epf, eps } = resolveInputs(values);
+
+    const result = {
+      inputs: options,
+      epf: computeEPFProjection(epf),
+      eps: estimateEPSPension(eps),
+      notes: NOTES,
+    };
+    stdout(formatOutput(options.format, result));
+    return 0;
+  } catch (error) {
+    // RangeError => a value the calculator itself refused
+    if (error instanceof CliError || error instanceof RangeError) {
+      stderr(`error: ${error.message}`);
+      stderr('Run node epf_eps_calculator.js --help to see every flag.');
+      return 1;
+    }
+    throw error;
+  }
+}
+
+module.exports = { run, parseArgs, CliError };
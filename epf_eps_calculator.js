@@ -3,36 +3,72 @@
  * EPF/EPS Calculator – Quick Projection
  *
  * Computes EPF future value with monthly contributions and annual interest.
- * Estimates EPS monthly pension (simplified) based on service and wage cap.
+ * Estimates EPS monthly pension under the EPS-95 rules (eligibility, bonus, early pension, wage ceilings),
+ * see config/eps-rules.js.
  *
  * Usage examples:
  *  node epf_eps_calculator.js --pfWage 40000 --employeePct 12 --vpfPct 0 --years 20 --openingEPF 0 --annualRate 8.25 --serviceYears 20 --pensionableSalary 15000
  *  node epf_eps_calculator.js --pfWage 25000 --employeePct 12 --vpfPct 10 --years 30 --openingEPF 200000 --annualRate 8.1 --serviceYears 28 --pensionableSalary 15000
+ *  node epf_eps_calculator.js --pfWage 30000 --years 25 --salaryGrowthPct 6 --annualRates 8.25,8.15,8.1 --vpfChangeYear 10 --vpfChangePct 5
+ *  node epf_eps_calculator.js --pfWage 150000 --vpfPct 20 --years 10 --taxSlab slab-20
+ *  node epf_eps_calculator.js --serviceYears 25 --pensionableSalary 15000 --pensionAge 55 --epsRuleSet ceiling-6500 --higherPension
+ *  node epf_eps_calculator.js --config scenario.json --years 25 --format table   (or --format csv => the yearly schedule)
+ *  node epf_eps_calculator.js --help   => every flag, its type && default
+ *
+ * Also used as a module => the HTTP API (POST /api/epf/projection, POST /api/eps/pension) reuses the same functions:
+ *  const { computeEPFProjection, estimateEPSPension } = require('./epf_eps_calculator');
  */
 
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const out = {};
-  for (let i = 0; i < args.length; i++) {
-    const a = args[i];
-    if (a.startsWith('--')) {
-      const key = a.slice(2);
-      const val = args[i + 1];
-      if (val && !val.startsWith('--')) {
-        out[key] = isNaN(Number(val)) ? val : Number(val);
-        i++;
-      } else {
-        out[key] = true;
-      }
-    }
-  }
-  return out;
-}
+const { EPS_RULE_SETS, DEFAULT_EPS_RULE_SET } = require('./config/eps-rules');
+const { createTaxTracker } = require('./epf_tax');
+
+const NOTES = [
+  'Employer EPS contribution capped at ₹1,250/month at ₹15,000 wage, excess goes to EPF.',
+  'EPF interest credited annually but computed on running monthly balances.',
+  'VPF raises employee contribution; tax rules may render interest on annual employee contributions >₹2.5L as taxable.',
+];
 
 function monthlyRate(annualRate) {
   return annualRate / 100 / 12;
 }
 
+// Employer split: 8.33% to EPS capped at ₹15,000 wage → max 1250/month
+const EMPLOYER_PCT = 12;
+const EPS_PCT = 8.33;
+const EPS_CAP_WAGE = 15000;
+
+function monthlyContributions(pfWage, employeePct, vpfPct) {
+  const employeeEPFMonthly = (employeePct / 100) * pfWage;
+  const vpfMonthly = (vpfPct / 100) * pfWage;
+  // Employer EPS portion
+  const employerEPSMonthly = (EPS_PCT / 100) * Math.min(pfWage, EPS_CAP_WAGE);
+  // Employer total EPF portion
+  const employerEPFMonthly = (EMPLOYER_PCT / 100) * pfWage - employerEPSMonthly;
+  return { employeeEPFMonthly, vpfMonthly, employerEPFMonthly, employerEPSMonthly };
+}
+
+// value of the step for this year => steps are [{ fromYear, ... }], the latest one that started wins
+function stepFor(steps, year) {
+  return steps
+    .filter((step) => step.fromYear <= year)
+    .reduce((latest, step) => (!latest || step.fromYear >= latest.fromYear ? step : latest), null);
+}
+
+/**
+ * Year by year EPF projection.
+ *
+ * Salary: pfWage in year 1, then + salaryGrowthPct every year.
+ *  salarySteps [{ fromYear, pfWage }] => explicit wage from that year on (growth continues from the new wage).
+ * VPF: vpfPct, changed mid-career with vpfSteps [{ fromYear, vpfPct }].
+ * Rates: annualRates[0] for year 1, annualRates[1] for year 2 ... years without an entry use annualRate.
+ *
+ * Interest is worked out every month on the running balance but only credited at the end of each year
+ * (and at the end of a last, partial year) => it earns interest itself only from the next year on.
+ * monthly = true adds the month by month rows to every year of the schedule.
+ *
+ * Tax: interest on employee contributions above ₹2.5L a year is taxed at taxRatePct (or the rate of taxSlab),
+ * see epf_tax.js => postTaxFinalBalance && the taxable / non-taxable split in tax.
+ */
 function computeEPFProjection({
   pfWage = 40000, // PF wage (Basic + DA)
   employeePct = 12, // Employee EPF %
@@ -40,95 +76,242 @@ function computeEPFProjection({
   years = 20,
   openingEPF = 0,
   annualRate = 8.25, // EPF declared rate (approx)
+  salaryGrowthPct = 0, // yearly increment of the PF wage
+  salarySteps = [],
+  vpfSteps = [],
+  annualRates = [],
+  monthly = false,
+  taxSlab, // config/epf-tax.js, default slab-30
+  taxRatePct, // effective rate in %, wins over taxSlab
 }) {
-  const mRate = monthlyRate(annualRate);
   const months = Math.round(years * 12);
-
-  // Employer split: 8.33% to EPS capped at ₹15,000 wage → max 1250/month
-  const employerPct = 12;
-  const epsPct = 8.33;
-  const epsCapWage = 15000;
-
-  const employeeEPFMonthly = (employeePct / 100) * pfWage;
-  const vpfMonthly = (vpfPct / 100) * pfWage;
-
-  // Employer EPS portion
-  const employerEPSMonthly = (epsPct / 100) * Math.min(pfWage, epsCapWage);
-  // Employer total EPF portion
-  const employerEPFMonthly = (employerPct / 100) * pfWage - employerEPSMonthly;
+  const tax = createTaxTracker({ openingBalance: openingEPF, taxSlab, taxRatePct });
 
   let balance = openingEPF;
+  let wage = pfWage;
   let totalEmployeeContrib = 0;
   let totalEmployerEPFContrib = 0;
   let totalInterest = 0;
+  let firstMonth = monthlyContributions(pfWage, employeePct, vpfPct);
+  const schedule = [];
+
+  for (let year = 1; (year - 1) * 12 < months; year++) {
+    if (year > 1) {
+      wage *= 1 + salaryGrowthPct / 100;
+    }
+    // same year listed twice => the later entry wins, like stepFor() (the API && the CLI reject duplicates anyway)
+    const salaryStep = salarySteps.findLast((step) => step.fromYear === year);
+    if (salaryStep) {
+      wage = salaryStep.pfWage;
+    }
+    const yearVpfPct = stepFor(vpfSteps, year)?.vpfPct ?? vpfPct;
+    const yearRate = annualRates[year - 1] ?? annualRate;
+    const mRate = monthlyRate(yearRate);
+    const contributions = monthlyContributions(wage, employeePct, yearVpfPct);
+    if (year === 1) {
+      firstMonth = contributions;
+    }
+    const contrib =
+      contributions.employeeEPFMonthly + contributions.vpfMonthly + contributions.employerEPFMonthly;
+
+    const openingBalance = balance;
+    const monthsThisYear = Math.min(12, months - (year - 1) * 12);
+    let yearInterest = 0;
+    const monthRows = [];
+
+    for (let m = 1; m <= monthsThisYear; m++) {
+      balance += contrib;
+      const interest = balance * mRate; // accrued on the running balance, credited at year end
+      yearInterest += interest;
+      tax.addMonth({
+        employeeContrib: contributions.employeeEPFMonthly + contributions.vpfMonthly,
+        employerContrib: contributions.employerEPFMonthly,
+        monthlyRate: mRate,
+      });
+      if (monthly) {
+        monthRows.push({
+          month: m,
+          contribution: Math.round(contrib),
+          runningBalance: Math.round(balance),
+          interestAccrued: Math.round(interest),
+        });
+      }
+    }
+    balance += yearInterest;
+    tax.creditYear(year);
 
-  for (let m = 1; m <= months; m++) {
-    const contrib = employeeEPFMonthly + vpfMonthly + employerEPFMonthly;
-    balance += contrib;
-    totalEmployeeContrib += employeeEPFMonthly + vpfMonthly;
-    totalEmployerEPFContrib += employerEPFMonthly;
-    const interest = balance * mRate; // simple monthly compounding on running balance
-    balance += interest;
-    totalInterest += interest;
+    totalEmployeeContrib += (contributions.employeeEPFMonthly + contributions.vpfMonthly) * monthsThisYear;
+    totalEmployerEPFContrib += contributions.employerEPFMonthly * monthsThisYear;
+    totalInterest += yearInterest;
+
+    schedule.push({
+      year,
+      pfWage: Math.round(wage),
+      vpfPct: yearVpfPct,
+      annualRate: yearRate,
+      months: monthsThisYear,
+      openingBalance: Math.round(openingBalance),
+      employeeContrib: Math.round(contributions.employeeEPFMonthly * monthsThisYear),
+      vpfContrib: Math.round(contributions.vpfMonthly * monthsThisYear),
+      employerEPFContrib: Math.round(contributions.employerEPFMonthly * monthsThisYear),
+      employerEPSContrib: Math.round(contributions.employerEPSMonthly * monthsThisYear),
+      interest: Math.round(yearInterest),
+      closingBalance: Math.round(balance),
+      ...(monthly && { monthly: monthRows }),
+    });
   }
 
+  const taxSummary = tax.summary();
+
   return {
     finalBalance: Math.round(balance),
+    // what's left once the tax on the taxable interest was deducted every year
+    postTaxFinalBalance: taxSummary.postTaxBalance,
     totalEmployeeContrib: Math.round(totalEmployeeContrib),
     totalEmployerEPFContrib: Math.round(totalEmployerEPFContrib),
+    // first month's split (the wage && VPF of year 1)
     monthlyContribBreakdown: {
-      employeeEPFMonthly: Math.round(employeeEPFMonthly),
-      vpfMonthly: Math.round(vpfMonthly),
-      employerEPFMonthly: Math.round(employerEPFMonthly),
-      employerEPSMonthly: Math.round(employerEPSMonthly),
+      employeeEPFMonthly: Math.round(firstMonth.employeeEPFMonthly),
+      vpfMonthly: Math.round(firstMonth.vpfMonthly),
+      employerEPFMonthly: Math.round(firstMonth.employerEPFMonthly),
+      employerEPSMonthly: Math.round(firstMonth.employerEPSMonthly),
     },
     annualRate,
     months,
     totalInterest: Math.round(totalInterest),
+    schedule,
+    tax: taxSummary,
   };
 }
 
-function estimateEPSPension({ pensionableSalary = 15000, serviceYears = 20 }) {
-  // Simplified formula: (Pensionable salary × Pensionable service) / 70
-  const monthlyPension = (pensionableSalary * serviceYears) / 70;
-  return {
-    monthlyPension: Math.round(monthlyPension),
-    pensionableSalary,
-    serviceYears,
-    note:
-      'Simplified EPS estimate. Actual benefits depend on official calculation, options, caps and notifications.',
-  };
-}
+const rupees = (value) => `₹${Math.round(value).toLocaleString('en-IN')}`;
+
+/**
+ * EPS pension under the EPS-95 rules of config/eps-rules.js.
+ *
+ * pensionableSalary => average monthly wage over the rule set's averaging period, capped at its wage ceiling
+ *  unless higherPension (members who opted to contribute on actual wages get the pension on actual wages).
+ * serviceYears => eligible service, part years allowed (9.6 = 9 years 7 months).
+ * pensionAge => age the pension starts (50 - 60, default the normal pension age 58).
+ * rules => overrides for single values of the rule set, ex: { minimumPension: 0 }.
+ *
+ * outcome => "eligible" | "reduced-early-pension" | "withdrawal-benefit"
+ * explanation => every rule that was applied, in order.
+ */
+function estimateEPSPension({
+  pensionableSalary = 15000,
+  serviceYears = 20,
+  pensionAge,
+  ruleSet = DEFAULT_EPS_RULE_SET,
+  higherPension = false,
+  rules: overrides = {},
+}) {
+  if (!EPS_RULE_SETS[ruleSet]) {
+    throw new RangeError(`Unknown EPS rule set "${ruleSet}" - use ${Object.keys(EPS_RULE_SETS).join(', ')}`);
+  }
+  const rules = { ...EPS_RULE_SETS[ruleSet], ...overrides };
+  const age = pensionAge ?? rules.normalPensionAge;
+  if (age < rules.earlyPensionAge || age > rules.maxDeferredAge) {
+    throw new RangeError(`pensionAge must be between ${rules.earlyPensionAge} and ${rules.maxDeferredAge}`);
+  }
+  const explanation = [`Rule set: ${rules.label}.`];
+
+  // Wage ceiling (or the higher pension option)
+  const salary = higherPension ? pensionableSalary : Math.min(pensionableSalary, rules.wageCeiling);
+  if (higherPension) {
+    explanation.push(`Higher pension option: actual average wage ${rupees(salary)} is used, no ${rupees(rules.wageCeiling)} ceiling.`);
+  } else if (pensionableSalary > rules.wageCeiling) {
+    explanation.push(`Wage ceiling: ${rupees(pensionableSalary)} is capped at ${rupees(rules.wageCeiling)}.`);
+  }
 
-function main() {
-  const args = parseArgs();
-  const epf = computeEPFProjection({
-    pfWage: args.pfWage ?? 40000,
-    employeePct: args.employeePct ?? 12,
-    vpfPct: args.vpfPct ?? 0,
-    years: args.years ?? 20,
-    openingEPF: args.openingEPF ?? 0,
-    annualRate: args.annualRate ?? 8.25,
-  });
-  const eps = estimateEPSPension({
-    pensionableSalary: args.pensionableSalary ?? 15000,
-    serviceYears: args.serviceYears ?? args.years ?? 20,
-  });
+  // Service rounding => a part year of roundUpFromMonths or more counts as a full year
+  // months are rounded => 9.99 years is 9 years 12 months, carry that into a full year (10 years 0 months)
+  let completedYears = Math.floor(serviceYears);
+  let extraMonths = Math.round((serviceYears - completedYears) * 12);
+  if (extraMonths === 12) {
+    completedYears += 1;
+    extraMonths = 0;
+  }
+  const service = completedYears + (extraMonths >= rules.roundUpFromMonths ? 1 : 0);
+  if (extraMonths > 0) {
+    explanation.push(`Service of ${completedYears} years ${extraMonths} months counts as ${service} years.`);
+  }
 
   const result = {
-    inputs: args,
-    epf,
-    eps,
-    notes: [
-      'Employer EPS contribution capped at ₹1,250/month at ₹15,000 wage, excess goes to EPF.',
-      'EPF interest credited annually but computed on running monthly balances.',
-      'VPF raises employee contribution; tax rules may render interest on annual employee contributions >₹2.5L as taxable.',
-    ],
+    outcome: null,
+    monthlyPension: 0,
+    withdrawalBenefit: 0,
+    pensionableSalary: Math.round(salary),
+    serviceYears,
+    pensionableService: service,
+    bonusYears: 0,
+    pensionAge: age,
+    ruleSet,
+    higherPension,
+    explanation,
+    note: 'Estimate under EPS-95 rules. Actual benefits depend on official calculation, options, caps and notifications.',
   };
 
-  console.log(JSON.stringify(result, null, 2));
+  // 10-year eligibility => less service only gets the one time withdrawal benefit (Table D)
+  if (service < rules.minServiceYears) {
+    const factor = rules.withdrawalFactors[service] ?? 0;
+    explanation.push(
+      `Withdrawal benefit: less than ${rules.minServiceYears} years of service => no pension, ` +
+        `a one time ${rupees(salary)} × ${factor} = ${rupees(salary * factor)} instead.`
+    );
+    return { ...result, outcome: 'withdrawal-benefit', withdrawalBenefit: Math.round(salary * factor) };
+  }
+
+  // Service bonus && the cap on pensionable service
+  const bonusYears = service >= rules.bonusFromServiceYears ? rules.bonusYears : 0;
+  if (bonusYears) {
+    explanation.push(`Service bonus: ${rules.bonusFromServiceYears}+ years of service => ${bonusYears} years added.`);
+  }
+  const pensionableService = Math.min(service + bonusYears, rules.maxServiceYears);
+  if (pensionableService < service + bonusYears) {
+    explanation.push(`Pensionable service is capped at ${rules.maxServiceYears} years.`);
+  }
+
+  let monthlyPension = (salary * pensionableService) / rules.divisor;
+  explanation.push(
+    `Eligible: ${rupees(salary)} × ${pensionableService} years / ${rules.divisor} = ${rupees(monthlyPension)} per month.`
+  );
+
+  // Early (reduced) or deferred (increased) pension
+  let outcome = 'eligible';
+  if (age < rules.normalPensionAge) {
+    const reductionPct = (rules.normalPensionAge - age) * rules.earlyReductionPctPerYear;
+    monthlyPension *= 1 - reductionPct / 100;
+    outcome = 'reduced-early-pension';
+    explanation.push(
+      `Reduced early pension: starting at ${age} instead of ${rules.normalPensionAge} => ${reductionPct}% less (${rules.earlyReductionPctPerYear}% per year).`
+    );
+  } else if (age > rules.normalPensionAge) {
+    const increasePct = (age - rules.normalPensionAge) * rules.deferredIncreasePctPerYear;
+    monthlyPension *= 1 + increasePct / 100;
+    explanation.push(
+      `Deferred pension: starting at ${age} instead of ${rules.normalPensionAge} => ${increasePct}% more (${rules.deferredIncreasePctPerYear}% per year).`
+    );
+  }
+
+  if (monthlyPension < rules.minimumPension) {
+    explanation.push(`Minimum pension: raised to ${rupees(rules.minimumPension)} per month.`);
+    monthlyPension = rules.minimumPension;
+  }
+
+  return {
+    ...result,
+    outcome,
+    monthlyPension: Math.round(monthlyPension),
+    pensionableService,
+    bonusYears,
+  };
 }
 
+module.exports = { computeEPFProjection, estimateEPSPension, NOTES };
+
+// command line => flags, --help, --config && the output formats live in epf_cli.js
+// (after module.exports => epf_cli.js requires this file back)
 if (require.main === module) {
-  main();
+  process.exitCode = require('./epf_cli').run(process.argv.slice(2));
 }
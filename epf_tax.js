@@ -0,0 +1,116 @@
+/**
+ * EPF tax impact – taxable and non-taxable sub-accounts
+ *
+ * Interest on employee contributions (EPF + VPF) above ₹2.5L in a financial year is taxable
+ * (config/epf-tax.js). So the balance is tracked as two sub-accounts:
+ *  - non-taxable => opening balance, employer contributions and employee contributions up to the threshold
+ *  - taxable     => employee contributions above the threshold (and their interest, year after year)
+ *
+ * Each projection year counts as one financial year (April – March).
+ * Interest accrues monthly on each sub-account's running balance and is credited at year end, like the projection.
+ * The tax on the taxable interest is deducted from the taxable sub-account when it is credited (as with TDS).
+ *
+ * Used by computeEPFProjection in epf_eps_calculator.js:
+ *  const tax = createTaxTracker({ openingBalance, taxSlab: 'slab-20' });
+ *  tax.addMonth({ employeeContrib, employerContrib, monthlyRate }); ... tax.creditYear(year);
+ *  tax.summary();
+ */
+
+const { EPF_TAX_RULES } = require('./config/epf-tax');
+
+function resolveTaxRate({ taxRatePct, taxSlab = EPF_TAX_RULES.defaultTaxSlab }) {
+  if (taxRatePct !== undefined) {
+    return { taxSlab: null, taxRatePct };
+  }
+  if (EPF_TAX_RULES.taxSlabs[taxSlab] === undefined) {
+    throw new RangeError(`Unknown tax slab "${taxSlab}" - use ${Object.keys(EPF_TAX_RULES.taxSlabs).join(', ')}`);
+  }
+  return { taxSlab, taxRatePct: EPF_TAX_RULES.taxSlabs[taxSlab] };
+}
+
+/**
+ * @param {object} options
+ * @param {number} [options.openingBalance] - counts as non-taxable
+ * @param {number} [options.taxRatePct] - effective tax rate in %, wins over taxSlab
+ * @param {string} [options.taxSlab] - one of config/epf-tax.js taxSlabs
+ * @param {boolean} [options.employerContributes] - picks the ₹2.5L or the ₹5L threshold
+ * @param {number} [options.threshold] - overrides the threshold
+ */
+function createTaxTracker({
+  openingBalance = 0,
+  taxRatePct,
+  taxSlab,
+  employerContributes = true,
+  threshold = employerContributes ? EPF_TAX_RULES.thresholdWithEmployer : EPF_TAX_RULES.thresholdWithoutEmployer,
+} = {}) {
+  const rate = resolveTaxRate({ taxRatePct, taxSlab });
+
+  let nonTaxable = openingBalance;
+  let taxable = 0;
+  let yearEmployeeContrib = 0;
+  let yearTaxableContrib = 0;
+  let yearInterest = { nonTaxable: 0, taxable: 0 };
+  let totalTaxableContrib = 0;
+  let totalTaxableInterest = 0;
+  let totalTax = 0;
+  const perYear = [];
+
+  // one month of contributions => the part of the employee share above the threshold goes to the taxable account
+  function addMonth({ employeeContrib, employerContrib, monthlyRate }) {
+    const room = Math.max(0, threshold - yearEmployeeContrib);
+    const toNonTaxable = Math.min(employeeContrib, room);
+    const toTaxable = employeeContrib - toNonTaxable;
+
+    yearEmployeeContrib += employeeContrib;
+    yearTaxableContrib += toTaxable;
+    nonTaxable += toNonTaxable + employerContrib;
+    taxable += toTaxable;
+
+    yearInterest.nonTaxable += nonTaxable * monthlyRate;
+    yearInterest.taxable += taxable * monthlyRate;
+  }
+
+  // year end => credit the interest, deduct the tax on the taxable part && start a new financial year
+  function creditYear(year) {
+    const tax = yearInterest.taxable * (rate.taxRatePct / 100);
+    nonTaxable += yearInterest.nonTaxable;
+    taxable += yearInterest.taxable - tax;
+
+    totalTaxableContrib += yearTaxableContrib;
+    totalTaxableInterest += yearInterest.taxable;
+    totalTax += tax;
+
+    perYear.push({
+      year,
+      employeeContrib: Math.round(yearEmployeeContrib),
+      taxableContrib: Math.round(yearTaxableContrib),
+      taxableInterest: Math.round(yearInterest.taxable),
+      tax: Math.round(tax),
+      nonTaxableBalance: Math.round(nonTaxable),
+      taxableBalance: Math.round(taxable),
+    });
+
+    yearEmployeeContrib = 0;
+    yearTaxableContrib = 0;
+    yearInterest = { nonTaxable: 0, taxable: 0 };
+  }
+
+  function summary() {
+    return {
+      threshold,
+      taxSlab: rate.taxSlab,
+      taxRatePct: rate.taxRatePct,
+      totalTaxableContrib: Math.round(totalTaxableContrib),
+      totalTaxableInterest: Math.round(totalTaxableInterest),
+      totalTax: Math.round(totalTax),
+      nonTaxableBalance: Math.round(nonTaxable),
+      taxableBalance: Math.round(taxable),
+      postTaxBalance: Math.round(nonTaxable + taxable),
+      perYear,
+    };
+  }
+
+  return { addMonth, creditYear, summary };
+}
+
+module.exports = { createTaxTracker };
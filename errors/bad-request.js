@@ -0,0 +1,9 @@
+const HttpError = require("./http-error");
+
+class BadRequestError extends HttpError {
+  constructor(message = "Bad request", errors) {
+    super(400, message, errors);
+  }
+}
+
+module.exports = BadRequestError;
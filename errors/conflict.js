@@ -0,0 +1,9 @@
+const HttpError = require("./http-error");
+
+class ConflictError extends HttpError {
+  constructor(message = "Resource conflict") {
+    super(409, message);
+  }
+}
+
+module.exports = ConflictError;
@@ -0,0 +1,10 @@
+const HttpError = require("./http-error");
+
+// 403 => we know WHO the user is (unlike 401), they just aren't allowed to do this
+class ForbiddenError extends HttpError {
+  constructor(message = "You don't have permission to perform this action") {
+    super(403, message);
+  }
+}
+
+module.exports = ForbiddenError;
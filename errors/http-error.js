@@ -0,0 +1,20 @@
+// Base class for every error that should turn into a specific HTTP response
+// Controllers/middlewares just `throw new NotFoundError(...)` (or pass it to next())
+// & middleware/error-handler.js takes care of status code + response format
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode
+   * @param {string} message - safe to show to the client
+   * @param {object[]} [errors] - optional per-field details (ex: validation failures)
+   */
+  constructor(statusCode, message, errors) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    // express' own default handler reads err.status - keep both so it works even where our handler isn't mounted
+    this.status = statusCode;
+    this.errors = errors;
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,27 @@
+const HttpError = require("./http-error");
+const BadRequestError = require("./bad-request");
+const UnauthorizedError = require("./unauthorized");
+const ForbiddenError = require("./forbidden");
+const NotFoundError = require("./not-found");
+const NotAcceptableError = require("./not-acceptable");
+const ConflictError = require("./conflict");
+const PreconditionFailedError = require("./precondition-failed");
+const PayloadTooLargeError = require("./payload-too-large");
+const UnsupportedMediaTypeError = require("./unsupported-media-type");
+const UnprocessableEntityError = require("./unprocessable-entity");
+const TooManyRequestsError = require("./too-many-requests");
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  NotAcceptableError,
+  ConflictError,
+  PreconditionFailedError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  UnprocessableEntityError,
+  TooManyRequestsError,
+};
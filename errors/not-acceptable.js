@@ -0,0 +1,10 @@
+const HttpError = require("./http-error");
+
+// 406 => we can't produce any of the formats listed in the client's Accept header
+class NotAcceptableError extends HttpError {
+  constructor(message = "None of the requested formats is available") {
+    super(406, message);
+  }
+}
+
+module.exports = NotAcceptableError;
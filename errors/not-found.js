@@ -0,0 +1,9 @@
+const HttpError = require("./http-error");
+
+class NotFoundError extends HttpError {
+  constructor(message = "Resource not found") {
+    super(404, message);
+  }
+}
+
+module.exports = NotFoundError;
@@ -0,0 +1,9 @@
+const HttpError = require("./http-error");
+
+class PayloadTooLargeError extends HttpError {
+  constructor(message = "Request body is too large") {
+    super(413, message);
+  }
+}
+
+module.exports = PayloadTooLargeError;
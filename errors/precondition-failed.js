@@ -0,0 +1,10 @@
+const HttpError = require("./http-error");
+
+// 412 => the client's If-Match didn't match the current version => someone else changed the resource meanwhile
+class PreconditionFailedError extends HttpError {
+  constructor(message = "The resource was modified by someone else, fetch it again & retry") {
+    super(412, message);
+  }
+}
+
+module.exports = PreconditionFailedError;
@@ -0,0 +1,9 @@
+const HttpError = require("./http-error");
+
+class TooManyRequestsError extends HttpError {
+  constructor(message = "Too many requests, please try again later") {
+    super(429, message);
+  }
+}
+
+module.exports = TooManyRequestsError;
@@ -0,0 +1,9 @@
+const HttpError = require("./http-error");
+
+class UnauthorizedError extends HttpError {
+  constructor(message = "You are not authorized to access this resource") {
+    super(401, message);
+  }
+}
+
+module.exports = UnauthorizedError;
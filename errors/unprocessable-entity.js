@@ -0,0 +1,11 @@
+const HttpError = require("./http-error");
+
+// 422 => the request is well formed, but applying it would leave the resource invalid
+// (ex: a PATCH touching a field that can't be changed, or removing a required one)
+class UnprocessableEntityError extends HttpError {
+  constructor(message = "The request can't be applied to this resource", errors) {
+    super(422, message, errors);
+  }
+}
+
+module.exports = UnprocessableEntityError;
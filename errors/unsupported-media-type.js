@@ -0,0 +1,9 @@
+const HttpError = require("./http-error");
+
+class UnsupportedMediaTypeError extends HttpError {
+  constructor(message = "Unsupported media type") {
+    super(415, message);
+  }
+}
+
+module.exports = UnsupportedMediaTypeError;
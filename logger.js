@@ -1,21 +1,177 @@
 // Logger is a middleware function
 // we can pass these middleware functions as the second argument to our RequestHandler methods like GET, POST, PUT etc
 // i.e. it comes after the first path/url argument & before the 3rd argument of callback
-// ANd these middlewares will be callback functions passed to request handler - means you don't have to instantiate it
 // and both request & response objects will be passed as args to these middlewares by Express
+//
+// This file exports a middleware FACTORY (same idea as morgan) => you call it with the options you want
+// && it gives you back the actual (req, res, next) middleware
+//
+//   app.use(logger())                                  => "dev" format on stdout
+//   app.use(logger("combined"))                        => Apache combined log format
+//   app.use(logger("json", { file: "logs/app.log" }))  => JSON lines, written to a size rotated file
+//
+// A request is logged when its RESPONSE is done ("finish" event) => only then we know the status code && how long it took
 
-// And when you use a middleware => 
+// And when you use a middleware =>
 // UNLESS you SEND back the RESPONSE from inside the middleware itself --
-// YOU have TO PASS the CONTROL to the NEXT middleware Explicitly using next() 
+// YOU have TO PASS the CONTROL to the NEXT middleware Explicitly using next()
 // control won't pass automatically - like it does with a normal js function where even if you don't have a return keyword !!
-const logger = (req, res, next) => {
-  const method = req.method;
-  const url = req.url;
-  const currTime = new Date().getFullYear();
-  console.log(method, url, currTime);
-
-  // passing the control onto the NEXT middleware
-  next()
+const crypto = require("crypto");
+
+const createRotatingFileStream = require("./utils/rotating-file-stream");
+const { VALID_ID } = require("./middleware/request-id");
+
+const REDACTED = "[REDACTED]";
+const DEFAULT_REDACT_HEADERS = ["authorization", "cookie", "set-cookie", "x-api-key"];
+const DEFAULT_REDACT_BODY_FIELDS = ["password", "token"];
+
+const CLF_MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// 18/Oct/2026:10:15:32 +0000 => the date format apache (&& morgan's "combined") uses
+const clfDate = (date) =>
+  `${pad(date.getUTCDate())}/${CLF_MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+  `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+
+const redactHeaders = (headers, redactList) =>
+  Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [
+      name,
+      redactList.includes(name.toLowerCase()) ? REDACTED : value,
+    ])
+  );
+
+// walks the whole body => nested { user: { password } } gets redacted too
+const redactBody = (value, redactList) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => redactBody(item, redactList));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        redactList.includes(key) ? REDACTED : redactBody(item, redactList),
+      ])
+    );
+  }
+  return value;
+};
+
+const colorStatus = (status) => {
+  const color = status >= 500 ? 31 : status >= 400 ? 33 : status >= 300 ? 36 : 32;
+  return `\x1b[${color}m${status}\x1b[0m`;
+};
+
+const formats = {
+  // GET /api/people 200 4.213 ms - 120 (a3c1...)
+  dev: (entry) =>
+    `${entry.method} ${entry.url} ${colorStatus(entry.status)} ${entry.responseTimeMs} ms - ${
+      entry.contentLength ?? "-"
+    } (${entry.requestId})`,
+
+  // ::1 - - [18/Oct/2026:10:15:32 +0000] "GET /api/people HTTP/1.1" 200 120 "-" "curl/8.0"
+  combined: (entry) =>
+    `${entry.remoteAddr} - ${entry.remoteUser ?? "-"} [${clfDate(entry.date)}] ` +
+    `"${entry.method} ${entry.url} HTTP/${entry.httpVersion}" ${entry.status} ${entry.contentLength ?? "-"} ` +
+    `"${entry.referrer ?? "-"}" "${entry.userAgent ?? "-"}"`,
+
+  // one JSON object per line => easy to ship into any log tool
+  json: (entry) =>
+    JSON.stringify({
+      time: entry.date.toISOString(),
+      requestId: entry.requestId,
+      method: entry.method,
+      url: entry.url,
+      status: entry.status,
+      responseTimeMs: entry.responseTimeMs,
+      contentLength: entry.contentLength,
+      remoteAddr: entry.remoteAddr,
+      user: entry.remoteUser,
+      userAgent: entry.userAgent,
+      ...(entry.headers && { headers: entry.headers }),
+      ...(entry.body !== undefined && { body: entry.body }),
+    }),
+};
+
+/**
+ * @param {"dev"|"combined"|"json"|Function} [format] - a built-in format name OR (entry) => string
+ * @param {object} [options]
+ * @param {{ write: Function }} [options.stream] - where lines go (default stdout)
+ * @param {string} [options.file] - log to this file instead, rotated by size
+ * @param {number} [options.maxSize] - rotate once the file reaches this many bytes
+ * @param {number} [options.maxFiles] - how many rotated files to keep
+ * @param {boolean} [options.includeHeaders] - add (redacted) request headers to the entry
+ * @param {boolean} [options.includeBody] - add (redacted) request body to the entry
+ * @param {string[]} [options.redactHeaders] - header names to hide
+ * @param {string[]} [options.redactBodyFields] - body keys to hide (at any depth)
+ * @param {(req, res) => boolean} [options.skip] - return true to not log a request
+ */
+const logger = (format = "dev", options = {}) => {
+  const {
+    file,
+    maxSize,
+    maxFiles,
+    includeHeaders = false,
+    includeBody = false,
+    redactHeaders: headersToRedact = DEFAULT_REDACT_HEADERS,
+    redactBodyFields = DEFAULT_REDACT_BODY_FIELDS,
+    skip,
+  } = options;
+
+  const formatLine = typeof format === "function" ? format : formats[format];
+  if (!formatLine) {
+    throw new Error(`Unknown log format "${format}" - use ${Object.keys(formats).join(", ")} or a function`);
+  }
+
+  const stream =
+    options.stream ?? (file ? createRotatingFileStream(file, { maxSize, maxFiles }) : process.stdout);
+
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    const date = new Date();
+    // keep an id an earlier middleware already gave this request, or a well-formed one from the client, otherwise create one
+    // (a raw header could carry CR/LF => fake log lines, or be huge => every log line gets huge)
+    const incoming = req.get("x-request-id");
+    req.id = req.id || (incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID());
+
+    let logged = false;
+    const log = () => {
+      // "finish" && "close" both fire for a normal response => log only once
+      if (logged || skip?.(req, res)) {
+        return;
+      }
+      logged = true;
+
+      const entry = {
+        date,
+        requestId: req.id,
+        method: req.method,
+        url: req.originalUrl,
+        httpVersion: req.httpVersion,
+        // aborted before anything was sent => there is no real status
+        status: res.headersSent ? res.statusCode : null,
+        responseTimeMs: (Number(process.hrtime.bigint() - startedAt) / 1e6).toFixed(3),
+        contentLength: res.getHeader("content-length"),
+        remoteAddr: req.ip,
+        remoteUser: req.user?.name,
+        referrer: req.get("referer"),
+        userAgent: req.get("user-agent"),
+        headers: includeHeaders ? redactHeaders(req.headers, headersToRedact) : undefined,
+        body: includeBody && req.body !== undefined ? redactBody(req.body, redactBodyFields) : undefined,
+      };
+
+      stream.write(`${formatLine(entry)}\n`);
+    };
+
+    res.on("finish", log);
+    res.on("close", log);
+
+    // passing the control onto the NEXT middleware
+    next();
+  };
 };
 
-module.exports = logger
\ No newline at end of file
+logger.formats = formats;
+
+module.exports = logger;
@@ -0,0 +1,47 @@
+const { API_VERSIONS, DEFAULT_VERSION } = require("../config/api-versions");
+const { BadRequestError } = require("../errors");
+
+// Sets req.apiVersion ("v1", "v2" ...) so controllers can shape their responses per version
+//
+//   app.use("/api/v2", apiVersion("v2"), apiRoute) => version fixed by the URL prefix
+//   app.use("/api", apiVersion(), apiRoute)        => version from the Accept-Version header ("2", "v2"),
+//                                                     DEFAULT_VERSION when the header is missing
+//
+// every response says which version answered (API-Version header),
+// deprecated versions also send Deprecation / Sunset / Link headers so clients know to move on
+
+const normalize = (value) => {
+  const version = String(value).trim().toLowerCase();
+  return version.startsWith("v") ? version : `v${version}`;
+};
+
+const apiVersion = (fixedVersion) => (req, res, next) => {
+  const requested = fixedVersion ?? (req.get("accept-version") ? normalize(req.get("accept-version")) : DEFAULT_VERSION);
+
+  if (!API_VERSIONS[requested]) {
+    return next(
+      new BadRequestError(
+        `Unsupported API version "${requested}" - use one of ${Object.keys(API_VERSIONS).join(", ")}`
+      )
+    );
+  }
+
+  req.apiVersion = requested;
+  res.setHeader("API-Version", requested);
+  res.vary("Accept-Version");
+
+  const { deprecated, sunset, link } = API_VERSIONS[requested];
+  if (deprecated) {
+    res.setHeader("Deprecation", "true");
+    if (sunset) {
+      res.setHeader("Sunset", new Date(sunset).toUTCString());
+    }
+    if (link) {
+      res.append("Link", `<${link}>; rel="deprecation"`);
+    }
+  }
+
+  next();
+};
+
+module.exports = apiVersion;
@@ -0,0 +1,95 @@
+const zlib = require("zlib");
+
+// Response compression => brotli or gzip, whichever the client's Accept-Encoding prefers
+//
+// It wraps res.write / res.end, so it works for res.json / res.send AND for streamed responses
+// the decision is made on the first write: only compressible types, only when nothing set Content-Encoding yet,
+// && for a response sent in one go only above `threshold` bytes (tiny bodies just get bigger when compressed)
+
+const COMPRESSIBLE = /json|text|xml|javascript|csv|svg|ndjson/i;
+
+const createEncoder = (encoding) =>
+  encoding === "br"
+    ? zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } })
+    : zlib.createGzip();
+
+const toBuffer = (chunk, encoding) =>
+  Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === "string" ? encoding : "utf8");
+
+const compression = ({ threshold = 1024 } = {}) => (req, res, next) => {
+  res.vary("Accept-Encoding");
+
+  const encoding = req.acceptsEncodings("br", "gzip", "identity");
+  if (!encoding || encoding === "identity" || req.method === "HEAD") {
+    return next();
+  }
+
+  const write = res.write.bind(res);
+  const end = res.end.bind(res);
+  let encoder = null;
+  let decided = false;
+
+  const shouldCompress = (chunk, isWholeBody) => {
+    if ([204, 304].includes(res.statusCode) || res.getHeader("Content-Encoding")) {
+      return false;
+    }
+    if (!COMPRESSIBLE.test(res.getHeader("Content-Type") || "")) {
+      return false;
+    }
+    return !(isWholeBody && (!chunk || toBuffer(chunk).length < threshold));
+  };
+
+  const decide = (chunk, isWholeBody) => {
+    decided = true;
+    if (!shouldCompress(chunk, isWholeBody)) {
+      return;
+    }
+
+    res.setHeader("Content-Encoding", encoding);
+    // the compressed length isn't known upfront => chunked transfer
+    res.removeHeader("Content-Length");
+
+    encoder = createEncoder(encoding);
+    encoder.on("data", (data) => {
+      // the socket is full => pause the encoder until it drains
+      if (!write(data)) {
+        encoder.pause();
+      }
+    });
+    res.on("drain", () => encoder.resume());
+    // callers streaming into res wait for res "drain" when write() returned false => the encoder's drain is theirs
+    encoder.on("drain", () => res.emit("drain"));
+    encoder.on("end", () => end());
+  };
+
+  res.write = (chunk, chunkEncoding, callback) => {
+    if (!decided) {
+      decide(chunk, false);
+    }
+    if (!encoder) {
+      return write(chunk, chunkEncoding, callback);
+    }
+    return encoder.write(toBuffer(chunk, chunkEncoding), callback);
+  };
+
+  res.end = (chunk, chunkEncoding, callback) => {
+    if (typeof chunk === "function") {
+      return res.end(undefined, undefined, chunk);
+    }
+    if (!decided) {
+      decide(chunk, true);
+    }
+    if (!encoder) {
+      return end(chunk, chunkEncoding, callback);
+    }
+    if (chunk) {
+      encoder.write(toBuffer(chunk, chunkEncoding));
+    }
+    encoder.end(callback);
+    return res;
+  };
+
+  next();
+};
+
+module.exports = compression;
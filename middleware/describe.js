@@ -0,0 +1,17 @@
+// Does nothing at request time - it only carries a human readable summary for the generated API docs
+//
+//   router.route("/").get(describe("List people"), getPeople)
+//
+// utils/openapi.js finds it in the router stack (like the validate() schemas) => docs never need hand editing
+//
+// body => request bodies validate() doesn't check because the controller parses them itself (patch documents, CSV ...)
+// one validate() style rule per Content-Type the route accepts, only used for the docs
+//
+//   describe("Patch a person", { body: { "application/merge-patch+json": { type: "object", fields } } })
+const describe = (summary, { description, body } = {}) => {
+  const middleware = (req, res, next) => next();
+  middleware.docs = { summary, description, body };
+  return middleware;
+};
+
+module.exports = describe;
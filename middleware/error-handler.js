@@ -0,0 +1,79 @@
+const { HttpError } = require("../errors");
+const log = require("../utils/log");
+const { envelope } = require("../utils/envelope");
+
+// Error handling middleware => express recognizes it by the 4 arguments (err, req, res, next)
+// It has to be registered AFTER all the routes, so every next(error) / thrown error lands here
+//
+// The response format follows the Accept header:
+//   API clients (axios, fetch, curl, postman) => JSON  { success: false, msg, errors?, requestId }
+//   browsers (Accept: text/html)              => the same styled <h1> page we always used
+//   routers using the response envelope       => { data: null, errors, meta: { status, requestId } } (utils/envelope.js)
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const renderHtml = (message, errors, requestId) => {
+  const details = errors?.length
+    ? `<ul style="font-family: cursive;">${errors
+        .map((error) => `<li>${escapeHtml(error.msg)}</li>`)
+        .join("")}</ul>`
+    : "";
+
+  const reference = requestId
+    ? `<p style="font-family: cursive; color: grey">Request id: ${escapeHtml(requestId)}</p>`
+    : "";
+
+  return `<h1 style="font-family: cursive; font-size: 28px; color: red">${escapeHtml(message)}</h1>${details}${reference}`;
+};
+
+const errorHandler = (err, req, res, next) => {
+  // errors thrown by express' own body parsers (bad JSON etc.) carry a 4xx status too
+  const statusCode =
+    err instanceof HttpError
+      ? err.statusCode
+      : Number.isInteger(err.status) && err.status >= 400 && err.status < 500
+        ? err.status
+        : 500;
+
+  // anything unexpected => generic 500, the details (stack!) only go to the server log
+  const message = statusCode === 500 ? "Something went wrong, please try again later" : err.message;
+  if (statusCode === 500) {
+    log.error(err);
+  }
+
+  // headers already went out (ex: error midway through a streamed response) => let express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const errors = err instanceof HttpError ? err.errors : undefined;
+
+  res.status(statusCode);
+  if (req.accepts(["json", "html"]) === "html") {
+    return res.send(renderHtml(message, errors, req.id));
+  }
+
+  // the request id lets a client report exactly which request failed => we can find it in the logs
+  if (res.locals.envelope) {
+    return res.json(
+      envelope({
+        errors: errors?.length ? errors : [{ msg: message }],
+        meta: { status: statusCode, msg: message, ...(req.id && { requestId: req.id }) },
+      })
+    );
+  }
+  res.json({
+    success: false,
+    msg: message,
+    ...(errors && { errors }),
+    ...(req.id && { requestId: req.id }),
+  });
+};
+
+module.exports = errorHandler;
@@ -0,0 +1,30 @@
+const authorize = require("../authorize");
+const { ForbiddenError } = require("../errors");
+const { hasPermission } = require("./require-role");
+
+// ?includeDeleted=true => soft deleted people show up too, those are only for callers who can delete / audit people
+// the routes themselves stay public => only THIS query needs a logged in user (bearer token or session, see authorize.js)
+// not logged in => 401, logged in without one of these permissions => 403
+//
+//   router.get("/", validate({ query: peopleListQuery }), guardIncludeDeleted, getPeople)
+const INCLUDE_DELETED_PERMISSIONS = ["people:history", "people:delete"];
+
+const guardIncludeDeleted = (req, res, next) => {
+  if (req.query.includeDeleted !== "true") {
+    return next();
+  }
+  // authorize sets req.user OR passes the 401 on
+  authorize(req, res, (error) => {
+    if (error) {
+      return next(error);
+    }
+    if (!INCLUDE_DELETED_PERMISSIONS.some((permission) => hasPermission(req.user.role, permission))) {
+      return next(
+        new ForbiddenError(`includeDeleted=true requires one of the permissions: ${INCLUDE_DELETED_PERMISSIONS.join(", ")}`)
+      );
+    }
+    next();
+  });
+};
+
+module.exports = guardIncludeDeleted;
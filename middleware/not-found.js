@@ -0,0 +1,8 @@
+const { NotFoundError } = require("../errors");
+
+// wildcard fallback => any request that didn't match a route ends up here
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`));
+};
+
+module.exports = notFound;
@@ -0,0 +1,140 @@
+const { TooManyRequestsError } = require("../errors");
+const createMemoryRateLimitStore = require("../rate-limiters/memory-store");
+const { verifyToken } = require("../utils/token");
+
+// Rate limiting middleware factory
+//
+//   app.post("/login", rateLimit({ limit: 5, windowMs: 15 * 60 * 1000 }))
+//   app.use("/api/people", rateLimit({ algorithm: "token-bucket", limit: 20, windowMs: 60 * 1000, keyBy: "user" }))
+//
+// algorithms:
+//   "fixed-window" => at most `limit` requests per `windowMs`, the counter resets when the window ends
+//   "token-bucket" => a bucket of `limit` tokens refilling at `limit` per `windowMs`, each request takes one
+//                     => allows short bursts but a steady average rate
+//
+// every response gets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset (seconds) headers
+// over the limit => 429 + Retry-After (seconds) through the error handler
+
+// "Authorization: Bearer <token>" => the token's user id, undefined when there is no valid token
+const bearerSubject = (req) => {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return undefined;
+  }
+  try {
+    return verifyToken(token).sub;
+  } catch {
+    return undefined;
+  }
+};
+
+const keyResolvers = {
+  ip: (req) => req.ip,
+  // logged in users are limited per account (wherever they come from), everyone else per IP
+  // limiters usually run BEFORE authorize => a bearer token is verified here too (only a correctly signed one counts,
+  // otherwise anybody could pick someone else's bucket), a missing / bad token falls back to the IP
+  user: (req) => {
+    const userId = req.user?.id ?? req.session?.user?.id ?? bearerSubject(req);
+    return userId !== undefined ? `user:${userId}` : req.ip;
+  },
+};
+
+const algorithms = {
+  "fixed-window": ({ limit, windowMs }) => ({
+    ttlMs: windowMs,
+    consume: (state, now) => {
+      const window = state && state.resetAt > now ? state : { count: 0, resetAt: now + windowMs };
+      const allowed = window.count < limit;
+      const next = { ...window, count: allowed ? window.count + 1 : window.count };
+      return {
+        state: next,
+        allowed,
+        remaining: limit - next.count,
+        resetMs: next.resetAt - now,
+      };
+    },
+  }),
+
+  "token-bucket": ({ limit, windowMs }) => {
+    const tokensPerMs = limit / windowMs;
+    return {
+      ttlMs: windowMs,
+      consume: (state, now) => {
+        const bucket = state ?? { tokens: limit, updatedAt: now };
+        const tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * tokensPerMs);
+        const allowed = tokens >= 1;
+        const left = allowed ? tokens - 1 : tokens;
+        return {
+          state: { tokens: left, updatedAt: now },
+          allowed,
+          remaining: Math.floor(left),
+          // blocked => when the next token arrives, otherwise when the bucket is full again
+          resetMs: allowed ? (limit - left) / tokensPerMs : (1 - left) / tokensPerMs,
+        };
+      },
+    };
+  },
+};
+
+/**
+ * @param {object} [options]
+ * @param {"fixed-window"|"token-bucket"} [options.algorithm]
+ * @param {number} [options.limit] - requests per window / bucket size
+ * @param {number} [options.windowMs]
+ * @param {"ip"|"user"|((req) => string)} [options.keyBy]
+ * @param {string} [options.prefix] - keeps the counters of different limiters apart in a shared store
+ * @param {object} [options.store] - defaults to the in-memory store
+ * @param {(req) => boolean} [options.skip] - return true to not count a request
+ * @param {string} [options.message]
+ */
+const rateLimit = ({
+  algorithm = "fixed-window",
+  limit = 100,
+  windowMs = 60 * 1000,
+  keyBy = "ip",
+  prefix = "rl",
+  store = createMemoryRateLimitStore(),
+  skip,
+  message,
+} = {}) => {
+  if (!algorithms[algorithm]) {
+    throw new Error(`Unknown rate limit algorithm "${algorithm}" - use ${Object.keys(algorithms).join(", ")}`);
+  }
+  const resolveKey = typeof keyBy === "function" ? keyBy : keyResolvers[keyBy];
+  if (!resolveKey) {
+    throw new Error(`Unknown rate limit key "${keyBy}" - use ip, user or a function`);
+  }
+
+  const { ttlMs, consume } = algorithms[algorithm]({ limit, windowMs });
+
+  return async (req, res, next) => {
+    if (skip?.(req)) {
+      return next();
+    }
+
+    const now = Date.now();
+    let result;
+    await store.update(
+      `${prefix}:${resolveKey(req)}`,
+      (state) => {
+        result = consume(state, now);
+        return result.state;
+      },
+      ttlMs
+    );
+
+    const resetSeconds = Math.max(0, Math.ceil(result.resetMs / 1000));
+    res.setHeader("RateLimit-Limit", limit);
+    res.setHeader("RateLimit-Remaining", Math.max(0, result.remaining));
+    res.setHeader("RateLimit-Reset", resetSeconds);
+
+    if (!result.allowed) {
+      res.setHeader("Retry-After", Math.max(1, resetSeconds));
+      return next(new TooManyRequestsError(message));
+    }
+
+    next();
+  };
+};
+
+module.exports = rateLimit;
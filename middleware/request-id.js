@@ -0,0 +1,27 @@
+const crypto = require("crypto");
+
+const { runWithContext } = require("../utils/request-context");
+
+// Correlation id for every request
+// - reuses the X-Request-Id sent by the client / a proxy in front of us, otherwise creates a new one
+// - available as req.id && (through utils/request-context.js) anywhere down the async chain
+// - echoed back in the X-Request-Id response header (error bodies carry it too, see error-handler.js)
+//
+// Register it FIRST so every later middleware / log line runs inside the request's context
+
+const HEADER = "X-Request-Id";
+// don't trust just anything from outside => ids end up in logs & response headers
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+const requestId = () => (req, res, next) => {
+  const incoming = req.get(HEADER);
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader(HEADER, req.id);
+
+  runWithContext({ requestId: req.id }, () => next());
+};
+
+// logger.js checks ids with the same rule when it runs without this middleware
+requestId.VALID_ID = VALID_ID;
+
+module.exports = requestId;
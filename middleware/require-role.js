@@ -0,0 +1,57 @@
+const fs = require("fs");
+const path = require("path");
+
+const { UnauthorizedError, ForbiddenError } = require("../errors");
+
+// role => permissions mapping lives in a JSON file, so roles can be changed without touching code
+// (default config/roles.json, override with ROLES_CONFIG=/path/to/roles.json - read once on startup)
+//
+// permissions look like "<resource>:<action>" => "people:delete"
+// "people:*" grants every action on people, "*" grants everything
+const ROLES_CONFIG = process.env.ROLES_CONFIG || path.join(__dirname, "..", "config", "roles.json");
+const rolePermissions = JSON.parse(fs.readFileSync(ROLES_CONFIG, "utf8"));
+
+const hasPermission = (role, permission) => {
+  const granted = rolePermissions[role] || [];
+  const [resource] = permission.split(":");
+  return granted.some(
+    (item) => item === "*" || item === permission || item === `${resource}:*`
+  );
+};
+
+// these middlewares come AFTER authorize (which sets req.user)
+// no req.user => 401 (not logged in), logged in but not allowed => 403
+
+// router.delete("/:personId", authorize, requireRole("admin"), deletePerson)
+const requireRole = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError());
+    }
+    if (!roles.includes(req.user.role)) {
+      return next(new ForbiddenError(`Requires one of the roles: ${roles.join(", ")}`));
+    }
+    next();
+  };
+  // picked up by utils/openapi.js
+  middleware.roles = roles;
+  return middleware;
+};
+
+// router.delete("/:personId", authorize, requirePermission("people:delete"), deletePerson)
+const requirePermission = (permission) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError());
+    }
+    if (!hasPermission(req.user.role, permission)) {
+      return next(new ForbiddenError(`Missing permission "${permission}"`));
+    }
+    next();
+  };
+  // picked up by utils/openapi.js
+  middleware.permission = permission;
+  return middleware;
+};
+
+module.exports = { requireRole, requirePermission, hasPermission };
@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+
+const createMemorySessionStore = require("../sessions/memory-store");
+
+// Server side sessions for the traditional (cookie based) browser flow
+//
+// The cookie only holds a random session id + an HMAC signature of it => "<sessionId>.<signature>"
+// the actual session data stays on the server inside the store
+// HttpOnly => page scripts can't read it, SameSite=Lax => it's not sent along with cross site POSTs
+//
+// Usage:
+//   app.use(session())                          => every request gets req.session (null when not logged in)
+//   await req.startSession({ user })            => on login, issues a NEW session id + cookie
+//   await req.destroySession()                  => on logout
+//
+// Expiry is sliding => every request made with a valid session pushes expiry ttlSeconds further
+
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+const SESSION_TTL_SECONDS = Number(process.env.SESSION_TTL_SECONDS) || 2 * 60 * 60;
+
+if (!process.env.SESSION_SECRET) {
+  console.warn(`SESSION_SECRET is not set - using a random secret, sessions won't survive a restart`);
+}
+
+const sign = (value) =>
+  crypto.createHmac("sha256", SESSION_SECRET).update(value).digest("base64url");
+
+// a cookie we didn't set can hold anything ("%E0%A4%A") => keep the raw value instead of throwing (like the cookie package)
+const decodeCookieValue = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const parseCookies = (header = "") =>
+  Object.fromEntries(
+    header
+      .split(";")
+      .map((pair) => pair.trim())
+      .filter(Boolean)
+      .map((pair) => {
+        const index = pair.indexOf("=");
+        return index === -1
+          ? [pair, ""]
+          : [pair.slice(0, index), decodeCookieValue(pair.slice(index + 1))];
+      })
+  );
+
+// returns the session id of a correctly signed cookie value, null otherwise
+const unsign = (cookieValue = "") => {
+  const index = cookieValue.lastIndexOf(".");
+  if (index === -1) {
+    return null;
+  }
+  const sessionId = cookieValue.slice(0, index);
+  const expected = Buffer.from(sign(sessionId));
+  const received = Buffer.from(cookieValue.slice(index + 1));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+  return sessionId;
+};
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.store] - session store, defaults to the in-memory one
+ * @param {string} [options.cookieName]
+ * @param {number} [options.ttlSeconds] - idle time after which a session expires
+ */
+const session = ({
+  store = createMemorySessionStore(),
+  cookieName = "sid",
+  ttlSeconds = SESSION_TTL_SECONDS,
+} = {}) => {
+  const cookieOptions = (req) => ({
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.secure || process.env.NODE_ENV === "production",
+    path: "/",
+  });
+
+  // the sliding expiry may have set our cookie already in this response => drop it before setting a new one
+  const dropPendingCookie = (res) => {
+    const pending = [res.getHeader("Set-Cookie") ?? []].flat();
+    res.setHeader(
+      "Set-Cookie",
+      pending.filter((cookie) => !String(cookie).startsWith(`${cookieName}=`))
+    );
+  };
+
+  const issueCookie = (req, res, sessionId) => {
+    dropPendingCookie(res);
+    res.cookie(cookieName, `${sessionId}.${sign(sessionId)}`, {
+      ...cookieOptions(req),
+      maxAge: ttlSeconds * 1000,
+    });
+  };
+
+  return async (req, res, next) => {
+    const sessionId = unsign(parseCookies(req.headers.cookie)[cookieName]);
+    let data = sessionId ? await store.get(sessionId) : null;
+    let currentId = data ? sessionId : null;
+
+    if (currentId) {
+      // sliding expiry
+      await store.set(currentId, data, Date.now() + ttlSeconds * 1000);
+      issueCookie(req, res, currentId);
+    }
+
+    req.session = data;
+
+    req.startSession = async (sessionData) => {
+      // ALWAYS a fresh id on login => an id someone planted before login (session fixation) becomes useless
+      if (currentId) {
+        await store.destroy(currentId);
+      }
+      currentId = crypto.randomBytes(32).toString("base64url");
+      data = { ...sessionData };
+      await store.set(currentId, data, Date.now() + ttlSeconds * 1000);
+      issueCookie(req, res, currentId);
+      req.session = data;
+    };
+
+    req.destroySession = async () => {
+      if (currentId) {
+        await store.destroy(currentId);
+      }
+      currentId = null;
+      req.session = null;
+      dropPendingCookie(res);
+      res.clearCookie(cookieName, cookieOptions(req));
+    };
+
+    next();
+  };
+};
+
+module.exports = session;
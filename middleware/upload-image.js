@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+
+const {
+  UPLOAD_DIR,
+  MAX_IMAGE_SIZE_BYTES,
+  ALLOWED_IMAGE_TYPES,
+} = require("../config/uploads");
+const {
+  BadRequestError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+} = require("../errors");
+
+// multipart/form-data parsing for a single image field, stored on disk under UPLOAD_DIR/<subDir>
+//
+//   router.post("/:productId/image", uploadImage({ field: "image", subDir: "products" }), uploadProductImage)
+//
+// after it ran, req.file = { path, filename, mimetype, size, ... }
+// - file names are random (never the client's name) => no overwriting, no path tricks
+// - size && mime type limits come from config/uploads.js
+// - the first bytes are checked too, the client's Content-Type alone is easy to fake
+
+// the first bytes ("magic numbers") every file of that type starts with
+const SIGNATURES = {
+  "image/jpeg": (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+  "image/png": (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  "image/gif": (bytes) => bytes.subarray(0, 4).toString("ascii") === "GIF8",
+  "image/webp": (bytes) =>
+    bytes.subarray(0, 4).toString("ascii") === "RIFF" && bytes.subarray(8, 12).toString("ascii") === "WEBP",
+};
+
+const readFirstBytes = async (filePath, length = 12) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const uploadImage = ({ field = "image", subDir = "" } = {}) => {
+  const destination = path.join(UPLOAD_DIR, subDir);
+  fs.mkdirSync(destination, { recursive: true });
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination,
+      filename: (req, file, callback) =>
+        callback(null, `${crypto.randomUUID()}${ALLOWED_IMAGE_TYPES[file.mimetype]}`),
+    }),
+    limits: { fileSize: MAX_IMAGE_SIZE_BYTES, files: 1 },
+    fileFilter: (req, file, callback) => {
+      if (!ALLOWED_IMAGE_TYPES[file.mimetype]) {
+        return callback(
+          new UnsupportedMediaTypeError(
+            `Only ${Object.keys(ALLOWED_IMAGE_TYPES).join(", ")} images are allowed`
+          )
+        );
+      }
+      callback(null, true);
+    },
+  }).single(field);
+
+  const middleware = (req, res, next) => {
+    if (!req.is("multipart/form-data")) {
+      return next(new UnsupportedMediaTypeError("Please send the image as multipart/form-data"));
+    }
+
+    upload(req, res, async (error) => {
+      if (error instanceof multer.MulterError) {
+        return next(
+          error.code === "LIMIT_FILE_SIZE"
+            ? new PayloadTooLargeError(`Image must be at most ${MAX_IMAGE_SIZE_BYTES} bytes`)
+            : new BadRequestError(`Upload failed: ${error.message} (${error.field ?? field})`)
+        );
+      }
+      if (error) {
+        return next(error);
+      }
+      if (!req.file) {
+        return next(new BadRequestError(`Please attach an image in the "${field}" field`));
+      }
+
+      try {
+        const bytes = await readFirstBytes(req.file.path);
+        if (!SIGNATURES[req.file.mimetype](bytes)) {
+          await fs.promises.unlink(req.file.path);
+          return next(new UnsupportedMediaTypeError(`File content is not a valid ${req.file.mimetype} image`));
+        }
+      } catch (readError) {
+        return next(readError);
+      }
+
+      next();
+    });
+  };
+
+  // picked up by utils/openapi.js => documented as a multipart/form-data body
+  middleware.upload = { field, types: Object.keys(ALLOWED_IMAGE_TYPES), maxSize: MAX_IMAGE_SIZE_BYTES };
+  return middleware;
+};
+
+module.exports = uploadImage;
@@ -0,0 +1,177 @@
+// Schema based request validation
+//
+// Instead of every controller checking req.body.name by hand (and each one replying in a different shape)
+// a route declares what it expects & this middleware checks it BEFORE the handler runs:
+//
+//   router.put("/:personId", validate({ params: personIdParams, body: personBody }), updatePerson)
+//
+// A schema is just an object of field => rule, for ex:
+//   { name: { type: "string", required: true, trim: true, minLength: 1, maxLength: 50 } }
+//
+// Supported rule keys:
+//   type      => "string" | "number" | "integer" | "boolean" | "url" | "email" | "array" | "object"
+//   required  => field must be present (not undefined / null / "")
+//   trim      => (strings) whitespace only values count as empty
+//   minLength / maxLength => (strings, emails)
+//   min / max => (number, integer)
+//   exclusiveMin => (number, integer) value has to be greater than this, ex: 0 => positive numbers only
+//   enum      => list of allowed values
+//   items     => (array) rule every item has to pass, ex: { type: "number", min: 0 }
+//   maxItems  => (array)
+//   uniqueBy  => (array of objects) no two items may have the same value of this field, ex: "fromYear"
+//   fields    => (object) schema of the nested object, ex: { fromYear: { type: "integer", required: true } }
+//   allowPathPrefix => (url) also accept local paths starting with this, ex: "/uploads/"
+//   description     => not checked, only shows up in the generated API docs (utils/openapi.js)
+//
+// params & query values always arrive as strings => "number"/"integer"/"boolean" accept their string forms there
+//
+// On failure a BadRequestError is passed on, so the error handler ALWAYS responds with
+//   400 { success: false, msg: "Validation failed", errors: [{ location: "body", field: "name", msg: "name is required" }, ...] }
+// with one entry per failed field
+
+const { BadRequestError } = require("../errors");
+
+const LOCATIONS = ["params", "query", "body"];
+
+const isEmpty = (value) => value === undefined || value === null || value === "";
+
+const toNumber = (value, fromString) => {
+  if (typeof value === "number") return value;
+  if (fromString && typeof value === "string" && value.trim() !== "") return Number(value);
+  return NaN;
+};
+
+// deliberately loose => something@something.tld, the only real check is sending a mail to it
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+const isUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+// returns an error message for the first rule that fails OR null if the value is valid
+const checkField = (field, rule, rawValue, fromString) => {
+  const value = rule.trim && typeof rawValue === "string" ? rawValue.trim() : rawValue;
+
+  if (isEmpty(value)) {
+    return rule.required ? `${field} is required` : null;
+  }
+
+  switch (rule.type) {
+    case "email":
+      if (typeof value !== "string" || !EMAIL_PATTERN.test(value)) return `${field} must be a valid email address`;
+    // falls through => the length rules apply to emails too
+    case "string":
+      if (typeof value !== "string") return `${field} must be a string`;
+      if (rule.minLength !== undefined && value.length < rule.minLength)
+        return `${field} must be at least ${rule.minLength} characters long`;
+      if (rule.maxLength !== undefined && value.length > rule.maxLength)
+        return `${field} must be at most ${rule.maxLength} characters long`;
+      break;
+
+    case "number":
+    case "integer": {
+      const number = toNumber(value, fromString);
+      if (!Number.isFinite(number)) return `${field} must be a number`;
+      if (rule.type === "integer" && !Number.isInteger(number)) return `${field} must be an integer`;
+      if (rule.min !== undefined && number < rule.min) return `${field} must be >= ${rule.min}`;
+      if (rule.exclusiveMin !== undefined && number <= rule.exclusiveMin)
+        return `${field} must be > ${rule.exclusiveMin}`;
+      if (rule.max !== undefined && number > rule.max) return `${field} must be <= ${rule.max}`;
+      break;
+    }
+
+    case "boolean":
+      if (!(typeof value === "boolean" || (fromString && ["true", "false"].includes(value))))
+        return `${field} must be a boolean`;
+      break;
+
+    case "url":
+      if (
+        !isUrl(value) &&
+        !(rule.allowPathPrefix && typeof value === "string" && value.startsWith(rule.allowPathPrefix))
+      )
+        return `${field} must be a valid http(s) URL`;
+      break;
+
+    // nested values => the message names the exact spot, ex: "salarySteps[1].fromYear is required"
+    case "array":
+      if (!Array.isArray(value)) return `${field} must be an array`;
+      if (rule.maxItems !== undefined && value.length > rule.maxItems)
+        return `${field} can have at most ${rule.maxItems} items`;
+      if (rule.items) {
+        for (let index = 0; index < value.length; index++) {
+          const message = checkField(`${field}[${index}]`, rule.items, value[index], fromString);
+          if (message) return message;
+        }
+      }
+      if (rule.uniqueBy) {
+        const seen = new Set();
+        for (let index = 0; index < value.length; index++) {
+          const key = value[index]?.[rule.uniqueBy];
+          if (seen.has(key)) return `${field}[${index}].${rule.uniqueBy} ${key} is listed more than once`;
+          seen.add(key);
+        }
+      }
+      break;
+
+    case "object":
+      if (!isPlainObject(value)) return `${field} must be an object`;
+      if (rule.fields) {
+        const [first] = validateObject(rule.fields, value, { fromString });
+        if (first) return `${field}.${first.msg}`;
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${field} must be one of ${rule.enum.join(", ")}`;
+  }
+
+  return null;
+};
+
+// checks a single object against a schema of field => rule, returns [{ field, msg }] (empty when valid)
+// also used outside of the middleware, ex: to validate every row of a bulk import
+const validateObject = (fields, source = {}, { fromString = false } = {}) =>
+  Object.entries(fields)
+    .map(([field, rule]) => ({ field, msg: checkField(field, rule, source[field], fromString) }))
+    .filter(({ msg }) => msg);
+
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    LOCATIONS.forEach((location) => {
+      const fields = schema[location];
+      if (!fields) return;
+
+      validateObject(fields, req[location] ?? {}, { fromString: location !== "body" }).forEach(
+        ({ field, msg }) => errors.push({ location, field, msg })
+      );
+    });
+
+    if (errors.length) {
+      return next(new BadRequestError("Validation failed", errors));
+    }
+
+    next();
+  };
+
+  // the schema stays reachable from the router stack => utils/openapi.js documents it
+  middleware.schema = schema;
+  return middleware;
+};
+
+validate.validateObject = validateObject;
+
+module.exports = validate;
@@ -0,0 +1,31 @@
+// In-memory rate limit store => default store for middleware/rate-limit.js
+//
+// Any other store (redis etc.) just has to implement the same async method:
+//   update(key, updater, ttlMs) -> runs updater(currentStateOrUndefined), saves what it returns
+//                                  for ttlMs & resolves to it
+// doing read + write in one call keeps the counting atomic (no lost updates between a get & a set)
+const createMemoryRateLimitStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  // unref() => this timer alone never keeps the process alive
+  setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    });
+  }, sweepIntervalMs).unref();
+
+  return {
+    async update(key, updater, ttlMs) {
+      const entry = entries.get(key);
+      const current = entry && entry.expiresAt > Date.now() ? entry.state : undefined;
+      const state = updater(current);
+      entries.set(key, { state, expiresAt: Date.now() + ttlMs });
+      return state;
+    },
+  };
+};
+
+module.exports = createMemoryRateLimitStore;
@@ -0,0 +1,231 @@
+// A repository is the ONLY place that reads/writes a collection
+// controllers just call these methods & never touch the underlying array (or file) directly
+//
+// All methods are async => the file store does real I/O, and the memory store keeps the same contract
+//
+// Every write stamps the record's updatedAt && the collection's lastModified, creating also stamps createdAt
+// (deletes only change lastModified) => used for Last-Modified / ETag headers (see utils/http-cache.js)
+//
+// Journal => an optional append-only log kept in its OWN store (createRepository(store, { journalStore }))
+// => reading the records never loads the whole history along with them
+// every mutation accepts { journal: (before, after) => entry } && the entry is written inside the SAME queued
+// mutation as the change, right before it => no other change can slip in between, see repositories/people-history.js
+const { isDeepStrictEqual } = require("util");
+
+// returned by an operation that found its record but had nothing to change (ex: a PUT with the same values)
+// => mutate() hands back the record as it is, without writing (updatedAt, ETag && lastModified stay the same)
+const UNCHANGED = Symbol("unchanged");
+const unchanged = (record) => ({ [UNCHANGED]: record });
+
+// the record's own data => what a client can change
+const dataOf = ({ id, createdAt, updatedAt, ...data }) => data;
+
+const createRepository = (store, { journalStore } = {}) => {
+  // Every mutation is a read -> modify -> write cycle
+  // If two requests interleave their awaits, the second write would overwrite the first one's change
+  // so we chain all mutations one after another on this promise
+  let queue = Promise.resolve();
+
+  // collections seeded before lastModified existed => treat them as changed "now"
+  const startedAt = new Date().toISOString();
+
+  // the journal store uses the same state shape as a collection => entries are its records, with their own ids
+  const writeJournal = async (entries) => {
+    const journalState = await journalStore.read();
+    entries.forEach((entry) => {
+      journalState.records.push({ id: journalState.nextId, ...entry });
+      journalState.nextId += 1;
+    });
+    journalState.lastModified = new Date().toISOString();
+    await journalStore.write(journalState);
+  };
+
+  // operation(state, entries) => changes state && pushes its journal entries (appendJournal), returns the outcome
+  const mutate = (operation) => {
+    const result = queue.then(async () => {
+      const state = await store.read();
+      const entries = [];
+      const outcome = operation(state, entries);
+      if (outcome?.[UNCHANGED]) {
+        return outcome[UNCHANGED];
+      }
+      // null (no record with that id) / an empty list => nothing changed, so no write && no new lastModified
+      // (otherwise a PUT to a missing id would invalidate every cached copy of the collection)
+      if (outcome === null || (Array.isArray(outcome) && !outcome.length)) {
+        return outcome;
+      }
+      state.lastModified = new Date().toISOString();
+      // journal first => if writing the change fails afterwards, the history shows an attempt too many
+      // rather than a change nobody can account for
+      if (entries.length) {
+        await writeJournal(entries);
+      }
+      await store.write(state);
+      return outcome;
+    });
+
+    // a failed mutation must not block the ones queued behind it
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  // entry => { id, ...entry, timestamp }, the id is given when the journal is written
+  const appendJournal = (entries, journal, before, after) => {
+    if (!journal) {
+      return;
+    }
+    if (!journalStore) {
+      throw new Error("This repository has no journal store - pass createRepository(store, { journalStore })");
+    }
+    entries.push({ ...journal(before, after), timestamp: new Date().toISOString() });
+  };
+
+  // finds the record to change && runs the caller's precondition on it INSIDE the mutation
+  // => checking (ex: If-Match) && writing can't be interleaved with another request's write
+  // a precondition signals failure by throwing, which aborts the mutation before anything is written
+  const findIndexForChange = (state, id, precondition) => {
+    const index = state.records.findIndex((record) => record.id === Number(id));
+    if (index !== -1 && precondition) {
+      precondition(state.records[index]);
+    }
+    return index;
+  };
+
+  const findAll = async () => {
+    const { records } = await store.read();
+    return records;
+  };
+
+  const findById = async (id) => {
+    const { records } = await store.read();
+    return records.find((record) => record.id === Number(id)) ?? null;
+  };
+
+  // every journal entry, oldest first
+  const findJournal = async () => {
+    if (!journalStore) {
+      return [];
+    }
+    const { records } = await journalStore.read();
+    return records;
+  };
+
+  // ISO timestamp of the last create / update / delete in this collection
+  const lastModified = async () => {
+    const state = await store.read();
+    return state.lastModified ?? startedAt;
+  };
+
+  // ids come from the persisted nextId counter (NOT records.length + 1)
+  // so an id is never reused even after records get deleted
+  const create = (data, { journal } = {}) =>
+    mutate((state, entries) => {
+      const now = new Date().toISOString();
+      const record = { id: state.nextId, ...data, createdAt: now, updatedAt: now };
+      state.nextId += 1;
+      state.records.push(record);
+      appendJournal(entries, journal, null, record);
+      return record;
+    });
+
+  // all records are created in ONE mutation => either every one of them is saved or none is
+  // journal => one entry per created record
+  const createMany = (items, { journal } = {}) =>
+    mutate((state, entries) => {
+      const updatedAt = new Date().toISOString();
+      return items.map((data) => {
+        const record = { id: state.nextId, ...data, createdAt: updatedAt, updatedAt };
+        state.nextId += 1;
+        state.records.push(record);
+        appendJournal(entries, journal, null, record);
+        return record;
+      });
+    });
+
+  // resolves to the updated record OR null when no record has that id
+  // changes equal to what is stored => the record comes back as it was, nothing is written (same for replace*)
+  const update = (id, changes, { precondition, journal } = {}) =>
+    mutate((state, entries) => {
+      const index = findIndexForChange(state, id, precondition);
+      if (index === -1) {
+        return null;
+      }
+      const before = state.records[index];
+      if (Object.keys(changes).every((key) => isDeepStrictEqual(before[key], changes[key]))) {
+        return unchanged(before);
+      }
+      state.records[index] = {
+        ...before,
+        ...changes,
+        id: Number(id),
+        updatedAt: new Date().toISOString(),
+      };
+      appendJournal(entries, journal, before, state.records[index]);
+      return state.records[index];
+    });
+
+  // same as update() but the stored record is swapped out completely (PUT semantics)
+  // id && createdAt belong to the record, not to the data => they are kept
+  const replace = (id, data, { precondition, journal } = {}) =>
+    mutate((state, entries) => {
+      const index = findIndexForChange(state, id, precondition);
+      if (index === -1) {
+        return null;
+      }
+      const before = state.records[index];
+      if (isDeepStrictEqual(dataOf(before), data)) {
+        return unchanged(before);
+      }
+      const { createdAt } = before;
+      state.records[index] = { id: Number(id), ...data, createdAt, updatedAt: new Date().toISOString() };
+      appendJournal(entries, journal, before, state.records[index]);
+      return state.records[index];
+    });
+
+  // replace() where the new data is computed FROM the current record, inside the mutation
+  // => read + change + write can't interleave with another request (ex: applying a PATCH document)
+  // changeFn(record) returns the new data (without id / timestamps), throwing aborts the mutation with nothing written
+  const replaceWith = (id, changeFn, { precondition, journal } = {}) =>
+    mutate((state, entries) => {
+      const index = findIndexForChange(state, id, precondition);
+      if (index === -1) {
+        return null;
+      }
+      const before = state.records[index];
+      const { createdAt } = before;
+      const data = changeFn(structuredClone(before));
+      if (isDeepStrictEqual(dataOf(before), data)) {
+        return unchanged(before);
+      }
+      state.records[index] = { id: Number(id), ...data, createdAt, updatedAt: new Date().toISOString() };
+      appendJournal(entries, journal, before, state.records[index]);
+      return state.records[index];
+    });
+
+  // resolves to the removed record OR null when no record has that id
+  const remove = (id, { precondition, journal } = {}) =>
+    mutate((state, entries) => {
+      const index = findIndexForChange(state, id, precondition);
+      if (index === -1) {
+        return null;
+      }
+      const [removed] = state.records.splice(index, 1);
+      appendJournal(entries, journal, removed, null);
+      return removed;
+    });
+
+  return {
+    findAll,
+    findById,
+    findJournal,
+    lastModified,
+    create,
+    createMany,
+    update,
+    replace,
+    replaceWith,
+    remove,
+  };
+};
+
+module.exports = createRepository;
@@ -0,0 +1,31 @@
+const peopleRepository = require("./people");
+
+// Audit trail of every change to a person => append only
+// the entries are the people repository's journal (see create-repository.js), kept in their own "people-history"
+// collection => each one is written in the SAME queued mutation as the change it describes, so a saved change
+// always has its entry
+// nothing here can edit or remove an entry afterwards
+//
+// an entry => { id, personId, action, actor, before, after, timestamp }
+//   action => "create" | "update" | "delete" | "restore"
+//   actor  => { id, name, role } of req.user, null when nobody is logged in
+//   before / after => the whole person record, null when it didn't exist (create)
+//
+//   await peopleRepository.update(personId, changes, { journal: historyEntry("update", actor) });
+
+// journal callback of one change => the repository passes the record before && after it
+const historyEntry = (action, actor) => (before, after) => ({
+  personId: (after ?? before).id,
+  action,
+  actor,
+  before,
+  after,
+});
+
+// oldest first
+const findByPersonId = async (personId) => {
+  const entries = await peopleRepository.findJournal();
+  return entries.filter((entry) => entry.personId === Number(personId));
+};
+
+module.exports = { historyEntry, findByPersonId };
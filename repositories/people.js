@@ -0,0 +1,11 @@
+const { people } = require("../data");
+const { createStore } = require("./stores");
+const createRepository = require("./create-repository");
+
+// data.js only seeds the collection => after that every change goes through this repository
+// the audit trail (people-history.js) is the journal => its own collection, so people reads don't carry it along
+const peopleRepository = createRepository(createStore("people", people), {
+  journalStore: createStore("people-history"),
+});
+
+module.exports = peopleRepository;
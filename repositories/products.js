@@ -0,0 +1,7 @@
+const { products } = require("../data");
+const { createStore } = require("./stores");
+const createRepository = require("./create-repository");
+
+const productsRepository = createRepository(createStore("products", products));
+
+module.exports = productsRepository;
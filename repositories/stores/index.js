@@ -0,0 +1,40 @@
+const path = require("path");
+
+const createMemoryStore = require("./memory-store");
+const createJsonFileStore = require("./json-file-store");
+
+// Which backend to use is decided by env variables - so no code change is needed to switch
+//   DATA_STORE=memory (default) => data is reset on every restart
+//   DATA_STORE=file             => data is saved as <DATA_DIR>/<collection>.json
+const DATA_STORE = process.env.DATA_STORE || "memory";
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "..", "storage");
+
+// nextId always starts after the biggest seeded id
+// seeded records count as created && modified at startup => they get Last-Modified headers like every other record
+const toInitialState = (seed) => {
+  const now = new Date().toISOString();
+  return {
+    nextId: seed.reduce((maxId, record) => Math.max(maxId, record.id), 0) + 1,
+    lastModified: now,
+    records: seed.map((record) => ({ ...record, createdAt: now, updatedAt: now })),
+  };
+};
+
+const createStore = (collectionName, seed = []) => {
+  const initialState = toInitialState(seed);
+
+  if (DATA_STORE === "file") {
+    return createJsonFileStore(
+      path.join(DATA_DIR, `${collectionName}.json`),
+      initialState
+    );
+  }
+
+  if (DATA_STORE === "memory") {
+    return createMemoryStore(initialState);
+  }
+
+  throw new Error(`Unknown DATA_STORE "${DATA_STORE}" - use "memory" or "file"`);
+};
+
+module.exports = { createStore };
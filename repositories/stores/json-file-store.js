@@ -0,0 +1,36 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// JSON file store => same read()/write() contract as the memory store
+// but the state is saved to disk, so the data survives a server restart
+//
+// The file looks like => { "nextId": 6, "records": [ ... ] }
+// nextId is persisted too, otherwise ids of deleted records could be handed out again after a restart
+const createJsonFileStore = (filePath, initialState) => {
+  const read = async () => {
+    try {
+      const contents = await fs.readFile(filePath, "utf8");
+      return JSON.parse(contents);
+    } catch (error) {
+      // first run => no file yet, so we start from the seed data
+      if (error.code === "ENOENT") {
+        return JSON.parse(JSON.stringify(initialState));
+      }
+      throw error;
+    }
+  };
+
+  const write = async (state) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // write to a temp file first & then rename it over the real one
+    // rename is atomic, so a crash midway never leaves a half written JSON file behind
+    const tempFilePath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempFilePath, JSON.stringify(state, null, 2));
+    await fs.rename(tempFilePath, filePath);
+  };
+
+  return { read, write };
+};
+
+module.exports = createJsonFileStore;
@@ -0,0 +1,25 @@
+// In-memory store => the whole collection lives inside this process
+// Everything is lost on restart, which is exactly what we want for quick demos & local experiments
+//
+// Every store (memory / json-file) exposes the same two async methods:
+//   read()       -> resolves to the current state { nextId, records }
+//   write(state) -> persists the given state
+// so the repository on top of it doesn't care where the data actually lives
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const createMemoryStore = (initialState) => {
+  // we keep our own copy so nobody outside can mutate the stored records by accident
+  let state = clone(initialState);
+
+  return {
+    async read() {
+      return clone(state);
+    },
+    async write(nextState) {
+      state = clone(nextState);
+    },
+  };
+};
+
+module.exports = createMemoryStore;
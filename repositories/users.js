@@ -0,0 +1,13 @@
+const { users } = require("../data");
+const { createStore } = require("./stores");
+const createRepository = require("./create-repository");
+
+const usersRepository = createRepository(createStore("users", users));
+
+// login looks users up by name, not by id
+usersRepository.findByName = async (name) => {
+  const records = await usersRepository.findAll();
+  return records.find((user) => user.name === name) ?? null;
+};
+
+module.exports = usersRepository;
@@ -0,0 +1,31 @@
+const express = require("express");
+const router = express.Router();
+
+const peopleRoute = require("./people");
+const productsRoute = require("./products");
+const epfRoute = require("./epf");
+const rateLimit = require("../middleware/rate-limit");
+
+// Everything under /api/<version> => app.js mounts this same router once per version
+// (plus once at /api for the Accept-Version header), controllers branch on req.apiVersion where shapes differ
+
+// people mutations => bursts of up to 20, refilled at 20 per minute, per user (or IP when not logged in)
+// one limiter instance => the count is shared across /api/v1/people, /api/v2/people && /api/people
+router.use(
+  "/people",
+  rateLimit({
+    prefix: "people",
+    algorithm: "token-bucket",
+    limit: 20,
+    windowMs: 60 * 1000,
+    keyBy: "user",
+    skip: (req) => req.method === "GET",
+  })
+);
+
+router.use("/people", peopleRoute);
+router.use("/products", productsRoute);
+// /epf/projection && /eps/pension
+router.use("/", epfRoute);
+
+module.exports = router;
@@ -1,23 +1,14 @@
 const express = require("express");
 const router = express.Router();
 
-router.post("/", (req, res) => {
-  console.log(`Post request body - FORM-ENCODED`, req.body);
-  const { name } = req.body;
-  if (name) {
-    res
-      .status(200)
-      .send(
-        `<h1 style="font-family: cursive;"> Welcome dear <span style="color: green">${name}</span></h1>`
-      );
-    return;
-  }
+const validate = require("../middleware/validate");
+const { loginBody } = require("../schemas/auth");
+const authorize = require("../authorize");
+const describe = require("../middleware/describe");
+const { login, logout, getCurrentUser } = require("../controllers/auth");
 
-  res
-    .status(400)
-    .send(
-      `<h1 style="font-family: cursive; color: red">Please provide valid user info</h1>`
-    );
-});
+router.post("/login", describe("Log in, get a bearer token && a session cookie"), validate({ body: loginBody }), login);
+router.post("/logout", describe("End the session"), logout);
+router.get("/me", describe("The logged in user"), authorize, getCurrentUser);
 
 module.exports = router;
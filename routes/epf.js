@@ -0,0 +1,38 @@
+const express = require("express");
+const router = express.Router();
+
+const { projectEPF, estimatePension } = require("../controllers/epf");
+const validate = require("../middleware/validate");
+const describe = require("../middleware/describe");
+const { epfProjectionBody, epsPensionBody } = require("../schemas/epf");
+const { useEnvelope } = require("../utils/envelope");
+
+// EPF / EPS calculator (epf_eps_calculator.js) as an API => mounted at /api/<version>
+// nothing is stored, so no auth - every request just gets computed && answered
+
+// mounted at the API root => only mark our own paths, other /api requests (ex: 404s) aren't ours to shape
+router.use(["/epf", "/eps"], useEnvelope);
+
+router
+  .route("/epf/projection")
+  .post(
+    describe("Project the EPF balance", {
+      description:
+        "Year by year schedule: salary growth / steps, VPF changes && a rate per year. Interest is accrued monthly on the running balance && credited once a year. Interest on employee contributions above ₹2.5L a year is taxed (taxSlab / taxRatePct).",
+    }),
+    validate({ body: epfProjectionBody }),
+    projectEPF
+  );
+
+router
+  .route("/eps/pension")
+  .post(
+    describe("Estimate the monthly EPS pension", {
+      description:
+        "EPS-95 rules: 10-year eligibility (else withdrawal benefit), service bonus, early / deferred pension, ₹15,000 or ₹6,500 wage ceiling, higher pension option.",
+    }),
+    validate({ body: epsPensionBody }),
+    estimatePension
+  );
+
+module.exports = router;
@@ -3,11 +3,33 @@ const router = express.Router();
 
 const {
   getPeople,
+  getPerson,
   createPerson,
   createPersonPostman,
   updatePerson,
+  patchPerson,
   deletePerson,
+  restorePerson,
+  getPersonHistory,
+  bulkImportPeople,
+  exportPeople,
 } = require("../controllers/people");
+const authorize = require("../authorize");
+const { requirePermission } = require("../middleware/require-role");
+const validate = require("../middleware/validate");
+const describe = require("../middleware/describe");
+const guardIncludeDeleted = require("../middleware/include-deleted");
+const {
+  personIdParams,
+  personBody,
+  peopleListQuery,
+  bulkImportQuery,
+  patchBodies,
+  bulkImportBodies,
+  exportQuery,
+} = require("../schemas/people");
+const { useEnvelope } = require("../utils/envelope");
+const { PATCH_CONTENT_TYPES } = require("../utils/patch");
 
 
 // SETTING UP ROUTES has two ways/flavors
@@ -33,9 +55,118 @@ const {
 
 // 2. ROUTE setup FLAVOR TWO => basically chain methods - with same route
 
-router.route('/').get(getPeople).post(createPerson)
-router.route('/postman').post(createPersonPostman)
-router.route('/:personId').put(updatePerson).delete(deletePerson)
+// every response below (errors included) uses the { data, meta, errors } envelope - except in v1 compatibility mode
+router.use(useEnvelope)
+
+// validate(...) runs BEFORE the controller => handlers only ever see a valid name && a positive integer personId
+// authorize => creating/changing/removing people needs a logged in user (Authorization: Bearer <token>)
+// requirePermission => && that user's role has to allow it (config/roles.json), otherwise 403
+// describe(...) => summary for the generated API docs (GET /api/openapi.json), does nothing at request time
+// guardIncludeDeleted => reading is public, but ?includeDeleted=true needs people:history or people:delete
+router
+  .route('/')
+  .get(
+    describe('List people (filter, sort, paginate, CSV / XML)', {
+      description:
+        'Query params: search, sort=-id,name, fields=id,name, page, limit, <field>[eq|ne|gt|gte|lt|lte|in]=value, format=json|csv|xml, includeDeleted=true',
+    }),
+    validate({ query: peopleListQuery }),
+    guardIncludeDeleted,
+    getPeople
+  )
+  .post(
+    describe('Create a person'),
+    authorize,
+    requirePermission('people:create'),
+    validate({ body: personBody }),
+    createPerson
+  )
+router
+  .route('/postman')
+  .post(
+    describe('Create a person, respond with the whole list'),
+    authorize,
+    requirePermission('people:create'),
+    validate({ body: personBody }),
+    createPersonPostman
+  )
+
+// bulk routes come BEFORE '/:personId' - otherwise "export" would be treated as a personId
+// express.json() (app level) already parsed JSON arrays, CSV uploads need the raw text
+router
+  .route('/bulk')
+  .post(
+    describe('Bulk import people from a JSON array or CSV', { body: bulkImportBodies }),
+    authorize,
+    requirePermission('people:create'),
+    express.text({ type: 'text/csv', limit: '1mb' }),
+    validate({ query: bulkImportQuery }),
+    bulkImportPeople
+  )
+router
+  .route('/export')
+  .get(
+    describe('Export all people as CSV or NDJSON', {
+      description:
+        'Rows are written one by one as the client reads them, but the collection is loaded in full first (the stores keep it as one document) => memory use grows with the number of people.',
+    }),
+    validate({ query: exportQuery }),
+    guardIncludeDeleted,
+    exportPeople
+  )
+router
+  .route('/:personId')
+  .get(
+    describe('Get a person'),
+    validate({ params: personIdParams, query: peopleListQuery }),
+    guardIncludeDeleted,
+    getPerson
+  )
+  .put(
+    describe('Update a person (name, email, role)'),
+    authorize,
+    requirePermission('people:update'),
+    validate({ params: personIdParams, body: personBody }),
+    updatePerson
+  )
+  // express.json() (app level) only parses application/json => the two patch types need their own parser
+  .patch(
+    describe('Patch a person', {
+      description: `Content-Type ${PATCH_CONTENT_TYPES.merge} (RFC 7396) or ${PATCH_CONTENT_TYPES.json} (RFC 6902: add, remove, replace, test). Patchable fields: name, email, role.`,
+      body: patchBodies,
+    }),
+    authorize,
+    requirePermission('people:update'),
+    express.json({ type: Object.values(PATCH_CONTENT_TYPES) }),
+    validate({ params: personIdParams }),
+    patchPerson
+  )
+  .delete(
+    describe('Delete a person (soft delete, see /restore)'),
+    authorize,
+    requirePermission('people:delete'),
+    validate({ params: personIdParams }),
+    deletePerson
+  )
+router
+  .route('/:personId/restore')
+  .post(
+    describe('Restore a deleted person'),
+    authorize,
+    requirePermission('people:delete'),
+    validate({ params: personIdParams }),
+    restorePerson
+  )
+// the audit trail names who changed what => not for everyone (config/roles.json)
+router
+  .route('/:personId/history')
+  .get(
+    describe('Audit history of a person'),
+    authorize,
+    requirePermission('people:history'),
+    validate({ params: personIdParams }),
+    getPersonHistory
+  )
 
 
 module.exports = router;
@@ -0,0 +1,97 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getProducts,
+  getProduct,
+  createProduct,
+  replaceProduct,
+  updateProduct,
+  deleteProduct,
+  uploadProductImage,
+  deleteProductImage,
+} = require("../controllers/products");
+const authorize = require("../authorize");
+const { requirePermission } = require("../middleware/require-role");
+const uploadImage = require("../middleware/upload-image");
+const validate = require("../middleware/validate");
+const describe = require("../middleware/describe");
+const {
+  productIdParams,
+  productBody,
+  productPatchBody,
+} = require("../schemas/products");
+
+// Same FLAVOR TWO setup as routes/people.js => chain all methods of the same path
+// reads are public, every mutation needs a logged in user (authorize) whose role grants the permission
+
+// GET    /api/products            => list all products
+// POST   /api/products            => create a product
+router
+  .route("/")
+  .get(
+    describe("List products (filter, sort, paginate, CSV / XML)", {
+      description:
+        "Query params: search, sort=-price,name, fields=id,name, page, limit, <field>[eq|ne|gt|gte|lt|lte|in]=value, format=json|csv|xml",
+    }),
+    getProducts
+  )
+  .post(
+    describe("Create a product"),
+    authorize,
+    requirePermission("products:create"),
+    validate({ body: productBody }),
+    createProduct
+  );
+
+// GET    /api/products/:productId => single product
+// PUT    /api/products/:productId => replace the whole product
+// PATCH  /api/products/:productId => update only the fields sent
+// DELETE /api/products/:productId => remove the product
+router
+  .route("/:productId")
+  .get(describe("Get a product"), validate({ params: productIdParams }), getProduct)
+  .put(
+    describe("Replace a product"),
+    authorize,
+    requirePermission("products:update"),
+    validate({ params: productIdParams, body: productBody }),
+    replaceProduct
+  )
+  .patch(
+    describe("Update some fields of a product"),
+    authorize,
+    requirePermission("products:update"),
+    validate({ params: productIdParams, body: productPatchBody }),
+    updateProduct
+  )
+  .delete(
+    describe("Delete a product"),
+    authorize,
+    requirePermission("products:delete"),
+    validate({ params: productIdParams }),
+    deleteProduct
+  );
+
+// POST   /api/products/:productId/image => upload (or replace) the image, multipart/form-data field "image"
+// DELETE /api/products/:productId/image => remove the image
+// uploaded files are served from /uploads (see app.js)
+router
+  .route("/:productId/image")
+  .post(
+    describe("Upload or replace the product image"),
+    authorize,
+    requirePermission("products:update"),
+    validate({ params: productIdParams }),
+    uploadImage({ field: "image", subDir: "products" }),
+    uploadProductImage
+  )
+  .delete(
+    describe("Remove the product image"),
+    authorize,
+    requirePermission("products:update"),
+    validate({ params: productIdParams }),
+    deleteProductImage
+  );
+
+module.exports = router;
@@ -0,0 +1,8 @@
+// Validation schemas for the auth routes - used with middleware/validate.js
+
+const loginBody = {
+  name: { type: "string", required: true, trim: true, minLength: 1, maxLength: 50 },
+  password: { type: "string", required: true, minLength: 1, maxLength: 200 },
+};
+
+module.exports = { loginBody };
@@ -0,0 +1,71 @@
+// Validation schemas for the EPF / EPS calculator routes - used with middleware/validate.js
+// field names && defaults are the ones of computeEPFProjection / estimateEPSPension in epf_eps_calculator.js
+
+const { EPS_RULE_SETS } = require("../config/eps-rules");
+const { EPF_TAX_RULES } = require("../config/epf-tax");
+
+const percentage = (description) => ({ type: "number", min: 0, max: 100, description });
+
+// 1 => the first year of the projection
+const fromYear = { type: "integer", required: true, min: 1, max: 60 };
+
+// POST /api/epf/projection
+const epfProjectionBody = {
+  pfWage: { type: "number", required: true, exclusiveMin: 0, description: "Monthly PF wage (Basic + DA) in ₹" },
+  years: { type: "number", required: true, exclusiveMin: 0, max: 60, description: "Years of contributions" },
+  employeePct: percentage("Employee EPF contribution in % of the PF wage (default 12)"),
+  vpfPct: percentage("Voluntary PF in % of the PF wage (default 0)"),
+  openingEPF: { type: "number", min: 0, description: "EPF balance at the start in ₹ (default 0)" },
+  annualRate: percentage("EPF interest rate in % per year (default 8.25)"),
+  salaryGrowthPct: percentage("Yearly increment of the PF wage in % (default 0)"),
+  salarySteps: {
+    type: "array",
+    maxItems: 60,
+    uniqueBy: "fromYear",
+    items: {
+      type: "object",
+      fields: { fromYear, pfWage: { type: "number", required: true, exclusiveMin: 0 } },
+    },
+    description: "Explicit PF wage from a year on, ex: [{ fromYear: 5, pfWage: 60000 }] - growth continues from it",
+  },
+  vpfSteps: {
+    type: "array",
+    maxItems: 60,
+    uniqueBy: "fromYear",
+    items: { type: "object", fields: { fromYear, vpfPct: { ...percentage(), required: true } } },
+    description: "Mid-career VPF changes, ex: [{ fromYear: 10, vpfPct: 5 }]",
+  },
+  annualRates: {
+    type: "array",
+    maxItems: 60,
+    items: { ...percentage(), required: true },
+    description: "Interest rate per year (year 1 first), years without an entry use annualRate",
+  },
+  monthly: { type: "boolean", description: "true => month by month rows in every year of the schedule" },
+  taxSlab: {
+    type: "string",
+    enum: Object.keys(EPF_TAX_RULES.taxSlabs),
+    description: `Tax rate for the taxable interest (config/epf-tax.js, default ${EPF_TAX_RULES.defaultTaxSlab})`,
+  },
+  taxRatePct: percentage("Effective tax rate in %, wins over taxSlab"),
+};
+
+// POST /api/eps/pension
+const epsPensionBody = {
+  pensionableSalary: {
+    type: "number",
+    required: true,
+    exclusiveMin: 0,
+    description: "Average monthly pensionable salary in ₹",
+  },
+  serviceYears: { type: "number", required: true, exclusiveMin: 0, max: 60, description: "Pensionable service in years" },
+  pensionAge: { type: "number", min: 50, max: 60, description: "Age the pension starts (default 58, earlier => reduced)" },
+  ruleSet: {
+    type: "string",
+    enum: Object.keys(EPS_RULE_SETS),
+    description: "Wage-ceiling period of config/eps-rules.js (default ceiling-15000)",
+  },
+  higherPension: { type: "boolean", description: "true => pension on actual wages, no wage ceiling" },
+};
+
+module.exports = { epfProjectionBody, epsPensionBody };
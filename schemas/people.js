@@ -0,0 +1,93 @@
+// Validation schemas for the people routes - used with middleware/validate.js
+
+const { PATCH_CONTENT_TYPES } = require("../utils/patch");
+
+const personIdParams = {
+  personId: { type: "integer", required: true, min: 1 },
+};
+
+// POST / PUT / bulk rows => name is required, the other attributes are optional
+// (PUT only changes the fields it gets => old clients sending just { name } keep the rest)
+const personBody = {
+  name: { type: "string", required: true, trim: true, minLength: 1, maxLength: 50 },
+  email: { type: "email", trim: true, maxLength: 254 },
+  role: { type: "string", trim: true, maxLength: 50 },
+};
+
+// fields a PATCH may change - id, createdAt && updatedAt are managed by the server
+const patchablePersonFields = Object.keys(personBody);
+
+// POST /api/people/bulk?mode=atomic|partial
+const bulkImportQuery = {
+  mode: { type: "string", enum: ["atomic", "partial"] },
+};
+
+// the bodies below are parsed by the controllers (utils/patch.js, utils/formats.js) => not for validate(),
+// they only document the routes through describe(..., { body })
+
+// PATCH /api/people/:personId => one rule per patch format
+const patchBodies = {
+  [PATCH_CONTENT_TYPES.merge]: {
+    type: "object",
+    // every field is optional in a patch, null removes email / role
+    fields: Object.fromEntries(
+      Object.entries(personBody).map(([name, rule]) => [name, { ...rule, required: false }])
+    ),
+    description: "RFC 7396 - the fields to change, null removes a field",
+    example: { role: "editor" },
+  },
+  [PATCH_CONTENT_TYPES.json]: {
+    type: "array",
+    items: {
+      type: "object",
+      fields: {
+        op: { type: "string", required: true, enum: ["add", "remove", "replace", "test"] },
+        path: { type: "string", required: true },
+        value: { description: "not used by remove" },
+      },
+    },
+    description: "RFC 6902 - operations applied in order, all or nothing",
+    example: [{ op: "replace", path: "/role", value: "editor" }],
+  },
+};
+
+// POST /api/people/bulk => a JSON array (or { people: [...] }) or a CSV file, every row like POST /api/people
+const bulkImportBodies = {
+  "application/json": {
+    type: "array",
+    items: { type: "object", fields: personBody },
+    description: "{ people: [...] } is accepted as well",
+    example: [{ name: "ann", email: "ann@example.com", role: "viewer" }],
+  },
+  "text/csv": {
+    type: "string",
+    description: "a header row (name,email,role) then one person per line",
+    example: "name,email,role\nann,ann@example.com,viewer",
+  },
+};
+
+const includeDeleted = {
+  type: "boolean",
+  description:
+    "true => soft deleted people are included, needs a logged in user with people:history or people:delete (401 / 403 otherwise)",
+};
+
+// GET /api/people, GET /api/people/:personId
+const peopleListQuery = { includeDeleted };
+
+// GET /api/people/export?format=csv|ndjson
+const exportQuery = {
+  format: { type: "string", enum: ["csv", "ndjson"] },
+  includeDeleted,
+};
+
+module.exports = {
+  personIdParams,
+  personBody,
+  patchablePersonFields,
+  peopleListQuery,
+  bulkImportQuery,
+  patchBodies,
+  bulkImportBodies,
+  exportQuery,
+};
@@ -0,0 +1,26 @@
+// Validation schemas for the products routes - used with middleware/validate.js
+
+const productIdParams = {
+  productId: { type: "integer", required: true, min: 1 },
+};
+
+const productFields = {
+  name: { type: "string", trim: true, minLength: 1, maxLength: 100 },
+  price: { type: "number", min: 0 },
+  // external http(s) URL OR the /uploads/... path set by POST /api/products/:productId/image
+  // (a client can only send back the product's own upload path, see checkImage in controllers/products.js)
+  image: { type: "url", allowPathPrefix: "/uploads/" },
+  desc: { type: "string", maxLength: 1000 },
+};
+
+// POST / PUT => full product, name && price are required
+const productBody = {
+  ...productFields,
+  name: { ...productFields.name, required: true },
+  price: { ...productFields.price, required: true },
+};
+
+// PATCH => every field optional, only the ones sent get checked
+const productPatchBody = productFields;
+
+module.exports = { productIdParams, productBody, productPatchBody };
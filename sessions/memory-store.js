@@ -0,0 +1,42 @@
+// In-memory session store => default store for middleware/session.js
+//
+// Any other store (redis, a DB table ...) just has to implement the same async methods:
+//   get(sessionId)                   -> session data OR null (unknown / expired)
+//   set(sessionId, data, expiresAt)  -> save / overwrite a session (expiresAt = ms timestamp)
+//   destroy(sessionId)               -> remove it
+const createMemorySessionStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const sessions = new Map();
+
+  // drop expired sessions every now & then so the Map doesn't grow forever
+  // unref() => this timer alone never keeps the process alive
+  setInterval(() => {
+    const now = Date.now();
+    sessions.forEach((entry, sessionId) => {
+      if (entry.expiresAt <= now) {
+        sessions.delete(sessionId);
+      }
+    });
+  }, sweepIntervalMs).unref();
+
+  return {
+    async get(sessionId) {
+      const entry = sessions.get(sessionId);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        sessions.delete(sessionId);
+        return null;
+      }
+      return { ...entry.data };
+    },
+    async set(sessionId, data, expiresAt) {
+      sessions.set(sessionId, { data: { ...data }, expiresAt });
+    },
+    async destroy(sessionId) {
+      sessions.delete(sessionId);
+    },
+  };
+};
+
+module.exports = createMemorySessionStore;
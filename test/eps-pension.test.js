@@ -0,0 +1,109 @@
+// The worked examples of config/eps-rules.js => run with "npm test" (node's built-in test runner, no dependencies)
+// ceiling-15000, pensionable salary ₹15,000, pension at 58 unless said otherwise
+//
+// Expected values are worked out by hand from the published rules, not read from the config:
+//   Employees' Pension Scheme, 1995 (EPS-95), as published by EPFO
+//     para 10(2)  => 2 years of weightage once the service reaches 20 years
+//     para 11     => pensionable salary, wage ceiling ₹6,500 before && ₹15,000 from 1 September 2014
+//     para 12     => monthly pension = pensionable salary × pensionable service / 70,
+//                    reduced 4% a year when drawn before 58, increased 4% a year when deferred up to 60
+//     para 14 / Table D => withdrawal benefit for less than 10 years of service
+//   Ministry of Labour && Employment notifications of August 2014 => ₹15,000 ceiling && ₹1,000 minimum pension
+//   Supreme Court, EPFO v. Sunil Kumar B (4 November 2022) => higher pension on the actual wage (no ceiling)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { estimateEPSPension } = require('../epf_eps_calculator');
+
+test('20 years of service (EPS-95 para 10(2), 12) => 2 bonus years => ₹4,714 / month', () => {
+  const pension = estimateEPSPension({ pensionableSalary: 15000, serviceYears: 20 });
+  assert.equal(pension.outcome, 'eligible');
+  assert.equal(pension.bonusYears, 2);
+  assert.equal(pension.monthlyPension, 4714);
+});
+
+test('35 years of service (EPS-95 para 12) => capped at 35 years => ₹7,500 / month (the maximum)', () => {
+  const pension = estimateEPSPension({ pensionableSalary: 15000, serviceYears: 35 });
+  assert.equal(pension.monthlyPension, 7500);
+});
+
+test('25 years, pension at 55 (EPS-95 para 12) => 3 years early × 4% => ₹5,091 / month', () => {
+  const pension = estimateEPSPension({ pensionableSalary: 15000, serviceYears: 25, pensionAge: 55 });
+  assert.equal(pension.outcome, 'reduced-early-pension');
+  assert.equal(pension.monthlyPension, 5091);
+});
+
+test('9 years 7 months (EPS-95, 6+ months count as a year) => rounds up to 10 years => ₹2,143 / month', () => {
+  const pension = estimateEPSPension({ pensionableSalary: 15000, serviceYears: 9 + 7 / 12 });
+  assert.equal(pension.pensionableService, 10);
+  assert.equal(pension.monthlyPension, 2143);
+});
+
+test('8 years of service (EPS-95 para 14, Table D) => not eligible => withdrawal benefit ₹1,24,050 once', () => {
+  const pension = estimateEPSPension({ pensionableSalary: 15000, serviceYears: 8 });
+  assert.equal(pension.outcome, 'withdrawal-benefit');
+  assert.equal(pension.monthlyPension, 0);
+  assert.equal(pension.withdrawalBenefit, 124050);
+});
+
+test('9.99 years => the rounded 12 months carry into a full year', () => {
+  const pension = estimateEPSPension({ pensionableSalary: 15000, serviceYears: 9.99 });
+  assert.equal(pension.pensionableService, 10);
+  assert.ok(pension.explanation.every((line) => !line.includes('12 months')));
+});
+
+test('ceiling-6500 (EPS-95 para 11, 12) => ₹10,000 salary capped at ₹6,500, 20 years => ₹2,043 / month', () => {
+  const pension = estimateEPSPension({ pensionableSalary: 10000, serviceYears: 20, ruleSet: 'ceiling-6500' });
+  assert.equal(pension.pensionableSalary, 6500);
+  assert.equal(pension.bonusYears, 2);
+  // 6500 × 22 / 70 = 2042.86
+  assert.equal(pension.monthlyPension, 2043);
+});
+
+test('higher pension (Sunil Kumar B, EPS-95 para 12) => ₹50,000 actual wage, 30 years => ₹22,857 / month', () => {
+  const pension = estimateEPSPension({ pensionableSalary: 50000, serviceYears: 30, higherPension: true });
+  assert.equal(pension.pensionableSalary, 50000);
+  // 50000 × 32 / 70 = 22857.14
+  assert.equal(pension.monthlyPension, 22857);
+});
+
+test('without the higher pension option the same wage is capped => ₹6,857 / month', () => {
+  const pension = estimateEPSPension({ pensionableSalary: 50000, serviceYears: 30 });
+  assert.equal(pension.pensionableSalary, 15000);
+  // 15000 × 32 / 70 = 6857.14
+  assert.equal(pension.monthlyPension, 6857);
+});
+
+test('deferred to 59 (EPS-95 para 12) => 20 years, 1 year × 4% more => ₹4,903 / month', () => {
+  const pension = estimateEPSPension({ pensionableSalary: 15000, serviceYears: 20, pensionAge: 59 });
+  assert.equal(pension.outcome, 'eligible');
+  // 15000 × 22 / 70 = 4714.29, × 1.04 = 4902.86
+  assert.equal(pension.monthlyPension, 4903);
+});
+
+test('deferred to 60 (EPS-95 para 12) => 20 years, 2 years × 4% more => ₹5,091 / month', () => {
+  const pension = estimateEPSPension({ pensionableSalary: 15000, serviceYears: 20, pensionAge: 60 });
+  assert.equal(pension.outcome, 'eligible');
+  // 15000 × 22 / 70 = 4714.29, × 1.08 = 5091.43
+  assert.equal(pension.monthlyPension, 5091);
+});
+
+test('deferring past 60 is not allowed', () => {
+  assert.throws(() => estimateEPSPension({ pensionAge: 61 }), RangeError);
+});
+
+test('minimum pension (2014 notification) => ceiling-6500, 10 years => ₹929 raised to ₹1,000 / month', () => {
+  const pension = estimateEPSPension({ pensionableSalary: 6500, serviceYears: 10, ruleSet: 'ceiling-6500' });
+  assert.equal(pension.outcome, 'eligible');
+  // 6500 × 10 / 70 = 928.57 => below the minimum
+  assert.equal(pension.monthlyPension, 1000);
+  assert.ok(pension.explanation.some((line) => line.startsWith('Minimum pension')));
+});
+
+test('the minimum applies after the early reduction => 10 years at 50 => ₹1,000 / month', () => {
+  const pension = estimateEPSPension({ pensionableSalary: 8000, serviceYears: 10, pensionAge: 50 });
+  assert.equal(pension.outcome, 'reduced-early-pension');
+  // 8000 × 10 / 70 = 1142.86, 8 years early × 4% => × 0.68 = 777.14 => raised to the minimum
+  assert.equal(pension.monthlyPension, 1000);
+});
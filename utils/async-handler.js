@@ -0,0 +1,11 @@
+// Wraps an (async) route handler so a rejected promise ends up in next(error)
+// => it reaches middleware/error-handler.js instead of becoming an unhandled rejection
+//
+// Express 5 already does this for handlers that return a promise,
+// but being explicit keeps the controllers safe regardless of how/where they get mounted
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve()
+    .then(() => handler(req, res, next))
+    .catch(next);
+
+module.exports = asyncHandler;
@@ -0,0 +1,29 @@
+// One response envelope for the people API (v2 onwards)
+//
+//   success => { data, meta? }                 data = the resource, the list, or the affected resource
+//   failure => { data: null, errors, meta }    errors = [{ msg, field?, location? ... }], meta.requestId
+//
+// Compatibility mode => API v1 (/api/v1/people or Accept-Version: 1) keeps the old, per-endpoint shapes
+// ({ success, people }, { success, person }, { success, data: [...] }) so old clients like
+// methods-public/javascript.html don't have to change - they opt in by asking for v1
+
+const isCompatMode = (req) => req.apiVersion === "v1";
+
+// router level middleware => marks the response, so the error handler answers in the envelope as well
+// utils/openapi.js also looks for it in a router's stack to document the envelope
+const useEnvelope = (req, res, next) => {
+  res.locals.envelope = !isCompatMode(req);
+  next();
+};
+
+const envelope = ({ data = null, meta, errors } = {}) => ({
+  data,
+  ...(meta && { meta }),
+  ...(errors?.length && { errors }),
+});
+
+// res.status(status).json(envelope(...)) in one go
+const sendEnvelope = (res, status, { data, meta, errors } = {}) =>
+  res.status(status).json(envelope({ data, meta, errors }));
+
+module.exports = { isCompatMode, useEnvelope, envelope, sendEnvelope };
@@ -0,0 +1,167 @@
+const { NotAcceptableError } = require("../errors");
+
+// Content negotiation for list endpoints => JSON (default), CSV or XML
+//   Accept: text/csv | application/xml   OR   ?format=csv|xml|json (the query param wins)
+
+const FORMATS = {
+  json: "application/json",
+  csv: "text/csv",
+  xml: "application/xml",
+};
+
+// picks the response format OR throws NotAcceptableError (406)
+const negotiateFormat = (req) => {
+  const { format } = req.query;
+  if (format !== undefined) {
+    if (!FORMATS[format]) {
+      throw new NotAcceptableError(`Unknown format "${format}" - use ${Object.keys(FORMATS).join(", ")}`);
+    }
+    return format;
+  }
+
+  // browsers navigating to the URL send "text/html,...,application/xml;q=0.9,*/*;q=0.8"
+  // they should keep getting JSON, not XML just because it's listed before */*
+  if (req.accepts(["html", ...Object.values(FORMATS)]) === "html") {
+    return "json";
+  }
+
+  const accepted = req.accepts(Object.values(FORMATS));
+  if (!accepted) {
+    throw new NotAcceptableError(`Supported formats are ${Object.values(FORMATS).join(", ")}`);
+  }
+  return Object.keys(FORMATS).find((key) => FORMATS[key] === accepted);
+};
+
+// union of keys of all rows, in first-seen order => rows don't need identical shapes
+const columnsOf = (rows) => [...new Set(rows.flatMap((row) => Object.keys(row)))];
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  // CSV injection (OWASP) => spreadsheets run text starting with = + - @ (or a tab / CR) as a formula,
+  // ex: a person named =HYPERLINK("...") => a leading ' keeps it plain text (real numbers like -5 are left alone)
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  // quote when needed (RFC 4180) => double any quote inside
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (row, columns) => columns.map((column) => csvCell(row[column])).join(",");
+
+const toCsv = (rows, columns = columnsOf(rows)) =>
+  [columns.join(","), ...rows.map((row) => toCsvRow(row, columns))].join("\r\n") + "\r\n";
+
+// RFC 4180 CSV => first line is the header, quoted fields may contain commas, "" && line breaks
+// returns one object per data row keyed by the header names (blank lines are skipped)
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") {
+        index++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...dataRows] = rows.filter((cells) => cells.some((cell) => cell !== ""));
+  const columns = header.map((column) => column.trim());
+  return dataRows.map((cells) =>
+    Object.fromEntries(columns.map((column, index) => [column, cells[index]]))
+  );
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// element names can't start with a digit or contain spaces etc.
+const xmlName = (key) => {
+  const name = String(key).replace(/[^\w.-]/g, "_");
+  return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+};
+
+const toXmlValue = (value, itemName = "item") => {
+  if (Array.isArray(value)) {
+    return value.map((item) => `<${itemName}>${toXmlValue(item)}</${itemName}>`).join("");
+  }
+  if (value && typeof value === "object") {
+    return Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => `<${xmlName(key)}>${toXmlValue(item)}</${xmlName(key)}>`)
+      .join("");
+  }
+  return value === null ? "" : escapeXml(value);
+};
+
+// toXml("people", "person", rows) => <people><person><id>1</id>...</person></people>
+const toXml = (rootName, itemName, rows, meta) =>
+  `<?xml version="1.0" encoding="UTF-8"?>\n<${rootName}>${toXmlValue(rows, itemName)}${
+    meta ? `<meta>${toXmlValue(meta)}</meta>` : ""
+  }</${rootName}>\n`;
+
+/**
+ * Sends a list in the negotiated format
+ * @param {object} options
+ * @param {string} options.rootName - XML root element, ex: "people"
+ * @param {string} options.itemName - XML element per row, ex: "person"
+ * @param {object[]} options.rows
+ * @param {object} options.json - the full JSON body (envelope) for JSON clients
+ * @param {object} [options.meta] - pagination etc, added to XML (CSV is rows only)
+ */
+const sendFormatted = (res, format, { rootName, itemName, rows, json, meta }) => {
+  if (format === "csv") {
+    return res.type(FORMATS.csv).send(toCsv(rows));
+  }
+  if (format === "xml") {
+    return res.type(FORMATS.xml).send(toXml(rootName, itemName, rows, meta));
+  }
+  res.json(json);
+};
+
+module.exports = {
+  FORMATS,
+  negotiateFormat,
+  sendFormatted,
+  toCsv,
+  toCsvRow,
+  columnsOf,
+  parseCsv,
+  toXml,
+};
@@ -0,0 +1,68 @@
+const crypto = require("crypto");
+
+const { PreconditionFailedError } = require("../errors");
+
+// HTTP caching helpers
+//
+// ETag => a fingerprint of the representation
+//   strong  "abc"   => byte for byte identical (single records, also used for If-Match on PUT/PATCH/DELETE)
+//   weak  W/"abc"   => semantically the same (collections - their shape depends on query params)
+// Last-Modified => when the record / collection last changed (second precision)
+//
+// Conditional GET: If-None-Match / If-Modified-Since still match => 304 Not Modified with no body
+// Optimistic locking: If-Match on a write no longer matches => 412, the client has to re-fetch first
+
+const etagFor = (value, { weak = false } = {}) => {
+  const hash = crypto.createHash("sha1").update(JSON.stringify(value)).digest("base64url");
+  return weak ? `W/"${hash}"` : `"${hash}"`;
+};
+
+/**
+ * Sets ETag / Last-Modified && answers 304 when the client's copy is still fresh
+ * @returns {boolean} true when a 304 was sent (the caller must not send a body anymore)
+ */
+const sendIfNotModified = (req, res, { etag, lastModified }) => {
+  if (etag) {
+    res.setHeader("ETag", etag);
+  }
+  if (lastModified) {
+    res.setHeader("Last-Modified", new Date(lastModified).toUTCString());
+  }
+
+  // req.fresh => express compares If-None-Match / If-Modified-Since with the headers we just set
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+};
+
+const parseEtagList = (header) =>
+  header
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Precondition for repository writes => throws PreconditionFailedError when If-Match doesn't match
+ * the CURRENT record (weak etags never match for If-Match, "*" matches any existing record)
+ * without an If-Match header every write is allowed
+ */
+const ifMatchPrecondition = (req) => {
+  const header = req.get("if-match");
+  if (!header) {
+    return undefined;
+  }
+
+  return (currentRecord) => {
+    const candidates = parseEtagList(header);
+    if (candidates.includes("*")) {
+      return;
+    }
+    if (!candidates.includes(etagFor(currentRecord))) {
+      throw new PreconditionFailedError();
+    }
+  };
+};
+
+module.exports = { etagFor, sendIfNotModified, ifMatchPrecondition };
@@ -0,0 +1,18 @@
+const { getRequestId } = require("./request-context");
+
+// console.log replacement for app code => every line is prefixed with the id of the request it belongs to
+//   [5f0c...] personId of record to be deleted  3
+// outside of a request (startup etc.) there is no id & the line is printed as is
+const withRequestId = (method) => (...args) => {
+  const requestId = getRequestId();
+  if (requestId) {
+    return console[method](`[${requestId}]`, ...args);
+  }
+  console[method](...args);
+};
+
+module.exports = {
+  info: withRequestId("log"),
+  warn: withRequestId("warn"),
+  error: withRequestId("error"),
+};
@@ -0,0 +1,255 @@
+const authorize = require("../authorize");
+
+// Builds an OpenAPI 3 document by walking the express routers themselves
+// => every route that exists is documented, nothing to keep in sync by hand
+//
+// what ends up in the document comes from the middlewares attached to each route:
+//   validate(schema)          => path / query parameters && the JSON request body (middleware/validate.js)
+//   describe(summary)         => summary / description && bodies the controller parses itself (middleware/describe.js)
+//   authorize                 => bearer token or session cookie required, 401 response
+//   requirePermission / Role  => 403 response + which permission / roles are needed
+//   uploadImage()             => multipart/form-data request body (middleware/upload-image.js)
+//   router.use(useEnvelope)   => responses documented as the { data, meta, errors } envelope (utils/envelope.js)
+
+const { useEnvelope } = require("./envelope");
+
+const ERROR_RESPONSE = { $ref: "#/components/schemas/ErrorResponse" };
+const ENVELOPE = { $ref: "#/components/schemas/Envelope" };
+
+// validate() types a form field can carry as-is
+const TEXT_TYPES = ["string", "email", "url"];
+
+// "/api/people" + "/:personId" => "/api/people/{personId}"
+const toOpenApiPath = (prefix, routePath) =>
+  `${prefix}${routePath === "/" ? "" : routePath}`.replace(/:(\w+)/g, "{$1}") || "/";
+
+const toOperationId = (method, path) =>
+  method +
+  path
+    .replace(/[{}]/g, "")
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("");
+
+// validate() rule => JSON schema
+const toJsonSchema = (rule) => {
+  const schema = {};
+  if (rule.type === "url") {
+    schema.type = "string";
+    schema.format = "uri";
+  } else if (rule.type === "email") {
+    schema.type = "string";
+    schema.format = "email";
+  } else if (rule.type) {
+    schema.type = rule.type;
+  }
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  // OpenAPI 3.0 => exclusiveMinimum is a flag on top of minimum
+  if (rule.exclusiveMin !== undefined) Object.assign(schema, { minimum: rule.exclusiveMin, exclusiveMinimum: true });
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.items) schema.items = toJsonSchema(rule.items);
+  if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+  if (rule.fields) Object.assign(schema, toObjectSchema(rule.fields));
+  if (rule.description) schema.description = rule.description;
+  if (rule.example !== undefined) schema.example = rule.example;
+  return schema;
+};
+
+const toParameters = (fields = {}, location) =>
+  Object.entries(fields).map(([name, rule]) => ({
+    name,
+    in: location,
+    // path params are always required in OpenAPI
+    required: location === "path" || Boolean(rule.required),
+    schema: toJsonSchema(rule),
+  }));
+
+const toObjectSchema = (fields) => {
+  const required = Object.keys(fields).filter((name) => fields[name].required);
+  return {
+    type: "object",
+    properties: Object.fromEntries(
+      Object.entries(fields).map(([name, rule]) => [name, toJsonSchema(rule)])
+    ),
+    ...(required.length && { required }),
+  };
+};
+
+const describeOperation = (method, path, handles, tag, envelope) => {
+  const schemas = handles.filter((handle) => handle.schema).map((handle) => handle.schema);
+  const docs = handles.find((handle) => handle.docs)?.docs ?? {};
+  const upload = handles.find((handle) => handle.upload)?.upload;
+  const permission = handles.find((handle) => handle.permission)?.permission;
+  const roles = handles.find((handle) => handle.roles)?.roles;
+  const needsAuth = handles.includes(authorize);
+
+  const merged = (location) => Object.assign({}, ...schemas.map((schema) => schema[location] ?? {}));
+  const pathParams = merged("params");
+  // params the path has but no schema describes => still have to be listed
+  (path.match(/{(\w+)}/g) || []).forEach((param) => {
+    const name = param.slice(1, -1);
+    pathParams[name] = pathParams[name] ?? { type: "string", required: true };
+  });
+
+  const operation = {
+    tags: [tag],
+    operationId: toOperationId(method, path),
+    summary: docs.summary ?? `${method.toUpperCase()} ${path}`,
+    ...(docs.description && { description: docs.description }),
+    parameters: [...toParameters(pathParams, "path"), ...toParameters(merged("query"), "query")],
+    responses: {
+      "2XX": {
+        description: "Success",
+        ...(envelope && { content: { "application/json": { schema: ENVELOPE } } }),
+      },
+    },
+  };
+
+  const body = merged("body");
+  if (upload) {
+    operation.requestBody = {
+      required: true,
+      description: `${upload.types.join(", ")} - at most ${upload.maxSize} bytes`,
+      content: {
+        "multipart/form-data": {
+          schema: {
+            type: "object",
+            properties: { [upload.field]: { type: "string", format: "binary" } },
+            required: [upload.field],
+          },
+        },
+      },
+    };
+  } else if (docs.body) {
+    operation.requestBody = {
+      required: true,
+      content: Object.fromEntries(
+        Object.entries(docs.body).map(([contentType, rule]) => [contentType, { schema: toJsonSchema(rule) }])
+      ),
+    };
+  } else if (Object.keys(body).length) {
+    // a form (express.urlencoded) only sends text && bodies are validated without string conversion
+    // => only advertise forms when every field is text, numbers / booleans / lists need JSON
+    const formFriendly = Object.values(body).every((rule) => TEXT_TYPES.includes(rule.type ?? "string"));
+    operation.requestBody = {
+      required: true,
+      content: {
+        "application/json": { schema: toObjectSchema(body) },
+        ...(formFriendly && { "application/x-www-form-urlencoded": { schema: toObjectSchema(body) } }),
+      },
+    };
+  }
+
+  const errorResponse = (description) => ({
+    description,
+    content: { "application/json": { schema: envelope ? ENVELOPE : ERROR_RESPONSE } },
+  });
+
+  if (schemas.length || upload || docs.body) {
+    operation.responses["400"] = errorResponse("Validation failed");
+  }
+  if (needsAuth) {
+    operation.security = [{ bearerAuth: [] }, { cookieAuth: [] }];
+    operation.responses["401"] = errorResponse("Not logged in / invalid token");
+  }
+  if (permission || roles) {
+    const needed = permission ? `permission "${permission}"` : `one of the roles ${roles.join(", ")}`;
+    operation.description = [operation.description, `Requires ${needed}.`].filter(Boolean).join("\n\n");
+    operation.responses["403"] = errorResponse(`Missing ${needed}`);
+  }
+  if (Object.keys(pathParams).length) {
+    operation.responses["404"] = errorResponse("Not found");
+  }
+
+  return operation;
+};
+
+/**
+ * @param {object} options
+ * @param {{ title: string, version: string, description?: string }} options.info
+ * @param {{ prefix: string, router: import("express").Router, tag: string }[]} options.mounts
+ *   - the routers to document && where they are mounted
+ */
+const buildOpenApiDocument = ({ info, mounts }) => {
+  const paths = {};
+
+  mounts.forEach(({ prefix, router, tag }) => {
+    const envelope = router.stack.some((layer) => !layer.route && layer.handle === useEnvelope);
+
+    router.stack
+      .filter((layer) => layer.route)
+      .forEach(({ route }) => {
+        const path = toOpenApiPath(prefix, route.path);
+
+        // a route's stack holds the handlers of ALL its methods, in registration order
+        const handlesByMethod = {};
+        route.stack.forEach((layer) => {
+          (handlesByMethod[layer.method] ??= []).push(layer.handle);
+        });
+
+        Object.entries(handlesByMethod).forEach(([method, handles]) => {
+          paths[path] = paths[path] ?? {};
+          paths[path][method] = describeOperation(method, path, handles, tag, envelope);
+        });
+      });
+  });
+
+  return {
+    openapi: "3.0.3",
+    info,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        cookieAuth: { type: "apiKey", in: "cookie", name: "sid" },
+      },
+      schemas: {
+        Envelope: {
+          type: "object",
+          description: "data = the resource / list / affected resource (null on errors), errors only on failure",
+          properties: {
+            data: { nullable: true },
+            meta: { type: "object", additionalProperties: true },
+            errors: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  location: { type: "string" },
+                  field: { type: "string" },
+                  msg: { type: "string" },
+                },
+              },
+            },
+          },
+          required: ["data"],
+        },
+        ErrorResponse: {
+          type: "object",
+          properties: {
+            success: { type: "boolean", example: false },
+            msg: { type: "string" },
+            errors: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  location: { type: "string" },
+                  field: { type: "string" },
+                  msg: { type: "string" },
+                },
+              },
+            },
+            requestId: { type: "string" },
+          },
+        },
+      },
+    },
+  };
+};
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,28 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+// Passwords are NEVER stored as plain text
+// we store "scrypt$<random salt>$<derived key>" => the salt makes two users with the same password get different hashes
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${derivedKey.toString("hex")}`;
+};
+
+const verifyPassword = async (password, storedHash) => {
+  const [algorithm, salt, keyHex] = String(storedHash).split("$");
+  if (algorithm !== "scrypt" || !salt || !keyHex) {
+    return false;
+  }
+
+  const storedKey = Buffer.from(keyHex, "hex");
+  const derivedKey = await scrypt(password, salt, storedKey.length);
+  // constant time comparison => response timing doesn't leak how many bytes matched
+  return crypto.timingSafeEqual(storedKey, derivedKey);
+};
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,183 @@
+// PATCH bodies => two standard formats, picked by the request's Content-Type
+//
+//   application/merge-patch+json (RFC 7396) => { "email": "a@b.c", "role": null }
+//     the body looks like the resource, null removes a field, everything else is set
+//
+//   application/json-patch+json (RFC 6902) => [{ "op": "replace", "path": "/name", "value": "ann" }, ...]
+//     a list of operations, we support add / remove / replace / test
+//     "test" compares a value first => the patch only applies if the resource is still what the client expects
+//
+// Both functions work on a copy && return the patched copy => if ANY operation fails (PatchError)
+// the original is untouched, so a patch is applied completely or not at all
+//
+// writable => the top level fields a patch may change (anything else is rejected with code "INVALID_PATH")
+// "test" may read every field, ex: [{ "op": "test", "path": "/updatedAt", "value": "..." }]
+
+const PATCH_CONTENT_TYPES = {
+  merge: "application/merge-patch+json",
+  json: "application/json-patch+json",
+};
+
+const OPERATIONS = ["add", "remove", "replace", "test"];
+
+// code => what went wrong, so the caller can pick the status code
+//   INVALID_PATCH => the body isn't a valid patch document at all
+//   INVALID_PATH  => a path that doesn't exist / may not be changed
+//   TEST_FAILED   => a "test" operation didn't match
+class PatchError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "PatchError";
+    this.code = code;
+  }
+}
+
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+// deep equality for JSON values (key order doesn't matter) => used by "test"
+const isEqual = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => key in b && isEqual(a[key], b[key]));
+  }
+  return false;
+};
+
+// JSON Pointer (RFC 6901) "/address/city" => ["address", "city"], "~1" is "/" && "~0" is "~"
+const parsePointer = (path) => {
+  if (typeof path !== "string" || (path !== "" && !path.startsWith("/"))) {
+    throw new PatchError("INVALID_PATCH", `"${path}" is not a valid JSON pointer`);
+  }
+  return path
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+};
+
+const checkWritable = (segments, path, writable) => {
+  if (!segments.length || !writable.includes(segments[0])) {
+    throw new PatchError("INVALID_PATH", `"${path}" can't be changed - patchable fields are ${writable.join(", ")}`);
+  }
+};
+
+// walks to the object / array that holds the last segment
+const resolveParent = (document, segments, path) => {
+  let parent = document;
+  segments.slice(0, -1).forEach((segment) => {
+    if (!(isPlainObject(parent) || Array.isArray(parent)) || !(segment in parent)) {
+      throw new PatchError("INVALID_PATH", `"${path}" doesn't exist`);
+    }
+    parent = parent[segment];
+  });
+  if (!(isPlainObject(parent) || Array.isArray(parent))) {
+    throw new PatchError("INVALID_PATH", `"${path}" doesn't exist`);
+  }
+  return parent;
+};
+
+// array index of the last segment => "-" means "after the last item" (only for add)
+const toArrayIndex = (array, segment, path, { allowEnd }) => {
+  if (allowEnd && segment === "-") return array.length;
+  const index = /^(0|[1-9]\d*)$/.test(segment) ? Number(segment) : NaN;
+  if (!(index < array.length + (allowEnd ? 1 : 0))) {
+    throw new PatchError("INVALID_PATH", `"${path}" is not a valid array index`);
+  }
+  return index;
+};
+
+const applyOperation = (document, operation, index, writable) => {
+  if (!isPlainObject(operation) || !OPERATIONS.includes(operation.op)) {
+    throw new PatchError(
+      "INVALID_PATCH",
+      `Operation ${index + 1}: "op" must be one of ${OPERATIONS.join(", ")}`
+    );
+  }
+  const { op, path, value } = operation;
+  if (op !== "remove" && !("value" in operation)) {
+    throw new PatchError("INVALID_PATCH", `Operation ${index + 1}: "${op}" needs a "value"`);
+  }
+
+  const segments = parsePointer(path);
+  if (op !== "test") {
+    checkWritable(segments, path, writable);
+  }
+
+  const parent = resolveParent(document, segments, path);
+  const key = segments[segments.length - 1];
+  const exists = Array.isArray(parent) ? /^(0|[1-9]\d*)$/.test(key) && Number(key) < parent.length : key in parent;
+
+  if (op === "test") {
+    if (!exists || !isEqual(parent[key], value)) {
+      throw new PatchError("TEST_FAILED", `Test failed: "${path}" doesn't have the expected value`);
+    }
+    return;
+  }
+
+  if (op !== "add" && !exists) {
+    throw new PatchError("INVALID_PATH", `"${path}" doesn't exist`);
+  }
+
+  if (Array.isArray(parent)) {
+    const position = toArrayIndex(parent, key, path, { allowEnd: op === "add" });
+    if (op === "add") parent.splice(position, 0, value);
+    if (op === "remove") parent.splice(position, 1);
+    if (op === "replace") parent[position] = value;
+    return;
+  }
+
+  if (op === "remove") {
+    delete parent[key];
+  } else {
+    parent[key] = value;
+  }
+};
+
+/**
+ * @param {object} document - the current resource (not modified)
+ * @param {object[]} operations - RFC 6902 operations
+ * @param {{ writable: string[] }} options
+ * @returns {object} the patched copy
+ */
+const applyJsonPatch = (document, operations, { writable }) => {
+  if (!Array.isArray(operations) || !operations.length) {
+    throw new PatchError("INVALID_PATCH", "A JSON Patch has to be a non empty array of operations");
+  }
+  const copy = structuredClone(document);
+  operations.forEach((operation, index) => applyOperation(copy, operation, index, writable));
+  return copy;
+};
+
+const mergeInto = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergeInto(result[key], value);
+    }
+  });
+  return result;
+};
+
+/**
+ * @param {object} document - the current resource (not modified)
+ * @param {object} patch - RFC 7396 merge patch
+ * @param {{ writable: string[] }} options
+ * @returns {object} the patched copy
+ */
+const applyMergePatch = (document, patch, { writable }) => {
+  if (!isPlainObject(patch)) {
+    throw new PatchError("INVALID_PATCH", "A merge patch has to be a JSON object");
+  }
+  Object.keys(patch).forEach((key) => checkWritable([key], `/${key}`, writable));
+  return mergeInto(structuredClone(document), patch);
+};
+
+module.exports = { PATCH_CONTENT_TYPES, PatchError, applyJsonPatch, applyMergePatch };
@@ -0,0 +1,218 @@
+// Reusable query-string language for list endpoints
+//
+//   ?price[gte]=10&price[lt]=40  => filters  (eq, ne, gt, gte, lt, lte, in)
+//   ?name=john                   => shorthand for name[eq]=john
+//   ?search=sofa                 => case-insensitive "contains" on the search field
+//   ?sort=-price,name            => sort on several fields, "-" means descending
+//   ?fields=id,name              => only return these fields
+//   ?page=2&limit=10             => pagination, meta has total count & next/prev page
+//
+// parseQuery() turns req.query into a plain spec object (throwing QueryParseError on bad input)
+// applyQuery() runs that spec against an array of records
+
+const OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "in"];
+// "format" belongs to content negotiation (utils/formats.js), not to filtering
+const RESERVED_KEYS = ["sort", "fields", "page", "limit", "search", "format"];
+
+class QueryParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QueryParseError";
+  }
+}
+
+// Express 5 uses the "simple" query parser by default => price[gte]=10 arrives as { "price[gte]": "10" }
+// with the "extended" parser it arrives as { price: { gte: "10" } } - we accept both
+const collectFilters = (query) => {
+  const filters = [];
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (RESERVED_KEYS.includes(key)) {
+      return;
+    }
+
+    const bracketMatch = key.match(/^(\w+)\[(\w+)\]$/);
+    if (bracketMatch) {
+      const [, field, op] = bracketMatch;
+      filters.push({ field, op, value });
+      return;
+    }
+
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+      Object.entries(value).forEach(([op, opValue]) =>
+        filters.push({ field: key, op, value: opValue })
+      );
+      return;
+    }
+
+    filters.push({ field: key, op: "eq", value });
+  });
+
+  return filters;
+};
+
+const toPositiveInt = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new QueryParseError(`${name} must be a positive integer`);
+  }
+  return number;
+};
+
+const splitList = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * @param {object} query - req.query
+ * @param {object} options
+ * @param {string[]} options.allowedFields - fields that may be filtered, sorted & selected
+ * @param {string} [options.searchField] - field used by ?search=
+ * @param {number} [options.maxLimit] - upper bound for ?limit=
+ */
+const parseQuery = (query = {}, { allowedFields, searchField, maxLimit = 100 } = {}) => {
+  const assertField = (field, usage) => {
+    if (!allowedFields.includes(field)) {
+      throw new QueryParseError(
+        `Cannot ${usage} on "${field}" - allowed fields are ${allowedFields.join(", ")}`
+      );
+    }
+  };
+
+  const filters = collectFilters(query).map(({ field, op, value }) => {
+    assertField(field, "filter");
+    if (!OPERATORS.includes(op)) {
+      throw new QueryParseError(
+        `Unknown operator "${op}" on "${field}" - use one of ${OPERATORS.join(", ")}`
+      );
+    }
+    return { field, op, value: op === "in" ? splitList(value) : String(value) };
+  });
+
+  const sort = query.sort
+    ? splitList(query.sort).map((item) => {
+        const field = item.replace(/^-/, "");
+        assertField(field, "sort");
+        return { field, direction: item.startsWith("-") ? -1 : 1 };
+      })
+    : [];
+
+  const fields = query.fields ? splitList(query.fields) : null;
+  fields?.forEach((field) => assertField(field, "select"));
+
+  // no page & no limit => pagination is off & the whole (filtered) list is returned
+  const paginate = query.page !== undefined || query.limit !== undefined;
+  const page = query.page !== undefined ? toPositiveInt(query.page, "page") : 1;
+  const limit = paginate
+    ? Math.min(query.limit !== undefined ? toPositiveInt(query.limit, "limit") : 10, maxLimit)
+    : null;
+
+  return {
+    filters,
+    search: query.search && searchField ? { field: searchField, term: String(query.search) } : null,
+    sort,
+    fields,
+    page,
+    limit,
+  };
+};
+
+// query values are always strings => compare as numbers when the stored value is a number
+const coerce = (recordValue, queryValue) =>
+  typeof recordValue === "number" ? Number(queryValue) : queryValue;
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  if (typeof a === "string" && typeof b === "string") {
+    return a.localeCompare(b);
+  }
+  return a < b ? -1 : 1;
+};
+
+const matchesFilter = (record, { field, op, value }) => {
+  const recordValue = record[field];
+
+  if (op === "in") {
+    return value.some((item) => coerce(recordValue, item) === recordValue);
+  }
+
+  const target = coerce(recordValue, value);
+  switch (op) {
+    case "eq":
+      return recordValue === target;
+    case "ne":
+      return recordValue !== target;
+    case "gt":
+      return recordValue > target;
+    case "gte":
+      return recordValue >= target;
+    case "lt":
+      return recordValue < target;
+    case "lte":
+      return recordValue <= target;
+    default:
+      return false;
+  }
+};
+
+const pickFields = (record, fields) =>
+  Object.fromEntries(fields.filter((field) => field in record).map((field) => [field, record[field]]));
+
+/**
+ * @returns {{ data: object[], meta: { total: number, page: number, limit: number|null, pages: number, nextPage: number|null, prevPage: number|null } }}
+ */
+const applyQuery = (records, spec) => {
+  let results = records.filter((record) =>
+    spec.filters.every((filter) => matchesFilter(record, filter))
+  );
+
+  if (spec.search) {
+    const term = spec.search.term.toLowerCase();
+    results = results.filter((record) =>
+      String(record[spec.search.field] ?? "").toLowerCase().includes(term)
+    );
+  }
+
+  if (spec.sort.length) {
+    // copy first => never re-order the caller's array
+    results = [...results].sort((a, b) => {
+      for (const { field, direction } of spec.sort) {
+        const order = compare(a[field], b[field]);
+        if (order !== 0) {
+          return order * direction;
+        }
+      }
+      return 0;
+    });
+  }
+
+  const total = results.length;
+  const pages = spec.limit ? Math.ceil(total / spec.limit) : total ? 1 : 0;
+
+  if (spec.limit) {
+    const start = (spec.page - 1) * spec.limit;
+    results = results.slice(start, start + spec.limit);
+  }
+
+  if (spec.fields) {
+    results = results.map((record) => pickFields(record, spec.fields));
+  }
+
+  return {
+    data: results,
+    meta: {
+      total,
+      page: spec.page,
+      limit: spec.limit,
+      pages,
+      nextPage: spec.page < pages ? spec.page + 1 : null,
+      prevPage: spec.page > 1 ? Math.min(spec.page - 1, pages || 1) : null,
+    },
+  };
+};
+
+module.exports = { parseQuery, applyQuery, QueryParseError };
@@ -0,0 +1,13 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Per request storage that follows the request through every await / callback
+// => anything running on behalf of a request can read its id without it being passed around as an argument
+const storage = new AsyncLocalStorage();
+
+const runWithContext = (context, callback) => storage.run(context, callback);
+
+const getRequestContext = () => storage.getStore();
+
+const getRequestId = () => storage.getStore()?.requestId;
+
+module.exports = { runWithContext, getRequestContext, getRequestId };
@@ -0,0 +1,49 @@
+const fs = require("fs");
+const path = require("path");
+
+// Append-only log file that rotates by size
+//   app.log   => current file
+//   app.log.1 => previous one, app.log.2 => the one before that ... up to maxFiles
+// once the current file would grow past maxSize it is renamed to .1 (the others shift up) & a fresh file is started
+const createRotatingFileStream = (filePath, { maxSize = 10 * 1024 * 1024, maxFiles = 5 } = {}) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  let size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  // the file is opened synchronously => it exists right away, even before the first write gets flushed
+  const open = () => fs.createWriteStream(null, { fd: fs.openSync(filePath, "a") });
+  let stream = open();
+
+  const rotate = () => {
+    // the old stream still flushes whatever it has buffered - renaming doesn't affect an open file descriptor
+    stream.end();
+
+    // the oldest file falls off the end, everything else moves one step up
+    fs.rmSync(`${filePath}.${maxFiles}`, { force: true });
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      const from = `${filePath}.${index}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${filePath}.${index + 1}`);
+      }
+    }
+    fs.renameSync(filePath, `${filePath}.1`);
+
+    stream = open();
+    size = 0;
+  };
+
+  return {
+    write(line) {
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > maxSize) {
+        rotate();
+      }
+      stream.write(line);
+      size += bytes;
+    },
+    end() {
+      stream.end();
+    },
+  };
+};
+
+module.exports = createRotatingFileStream;
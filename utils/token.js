@@ -0,0 +1,77 @@
+const crypto = require("crypto");
+
+// Minimal JWT (HS256) implementation => header.payload.signature, each part base64url encoded
+// the signature is an HMAC-SHA256 of "header.payload" with our secret, so any change to the claims breaks it
+//
+// TOKEN_SECRET has to be set in production - without it a random secret is generated on startup,
+// which means every token becomes invalid after a restart
+const TOKEN_SECRET = process.env.TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+const TOKEN_TTL_SECONDS = Number(process.env.TOKEN_TTL_SECONDS) || 60 * 60;
+
+if (!process.env.TOKEN_SECRET) {
+  console.warn(`TOKEN_SECRET is not set - using a random secret, issued tokens won't survive a restart`);
+}
+
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TokenError";
+  }
+}
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+const sign = (data) =>
+  crypto.createHmac("sha256", TOKEN_SECRET).update(data).digest("base64url");
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * @param {object} claims - ex: { sub: 1, name: "john" }
+ * @param {{ expiresIn?: number }} [options] - lifetime in seconds
+ * @returns {{ token: string, expiresAt: number }}
+ */
+const signToken = (claims, { expiresIn = TOKEN_TTL_SECONDS } = {}) => {
+  const issuedAt = nowInSeconds();
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(
+    JSON.stringify({ ...claims, iat: issuedAt, exp: issuedAt + expiresIn })
+  );
+  const unsigned = `${header}.${payload}`;
+
+  return { token: `${unsigned}.${sign(unsigned)}`, expiresAt: issuedAt + expiresIn };
+};
+
+// returns the claims of a valid token, throws TokenError for a malformed / tampered / expired one
+const verifyToken = (token) => {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) {
+    throw new TokenError("Malformed token");
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new TokenError("Invalid token signature");
+  }
+
+  let claims;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, "base64url").toString());
+    if (alg !== "HS256") {
+      throw new TokenError("Unsupported token algorithm");
+    }
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch (error) {
+    throw error instanceof TokenError ? error : new TokenError("Malformed token");
+  }
+
+  if (typeof claims.exp !== "number" || claims.exp <= nowInSeconds()) {
+    throw new TokenError("Token expired");
+  }
+
+  return claims;
+};
+
+module.exports = { signToken, verifyToken, TokenError };
@@ -0,0 +1,35 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const { UPLOAD_DIR, UPLOAD_URL_PREFIX } = require("../config/uploads");
+const log = require("./log");
+
+// "/uploads/products/abc.jpg" <=> "<UPLOAD_DIR>/products/abc.jpg"
+const toUploadUrl = (filePath) =>
+  `${UPLOAD_URL_PREFIX}/${path.relative(UPLOAD_DIR, filePath).split(path.sep).join("/")}`;
+
+const isUploadUrl = (url) => typeof url === "string" && url.startsWith(`${UPLOAD_URL_PREFIX}/`);
+
+// deletes the file behind an /uploads/... URL - external URLs (ex: the old airtable images) are left alone
+// never throws => a missing file must not fail the request that replaced / deleted it
+const removeUploadedFile = async (url) => {
+  if (!isUploadUrl(url)) {
+    return;
+  }
+
+  const filePath = path.resolve(UPLOAD_DIR, url.slice(UPLOAD_URL_PREFIX.length + 1));
+  // "/uploads/../../etc/passwd" => resolves outside the upload dir => ignore it
+  if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+    return;
+  }
+
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      log.warn(`Could not remove uploaded file ${filePath}`, error);
+    }
+  }
+};
+
+module.exports = { toUploadUrl, isUploadUrl, removeUploadedFile };